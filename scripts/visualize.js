@@ -1,961 +1,6755 @@
 #!/usr/bin/env node
 /**
  * 專案視覺化工具
- * 讀取 tasks.md 和 timeline.md，生成互動式 HTML 儀表板
+ * 讀取 tasks.md、timeline.md、decisions.md 和 meetings/，生成互動式 HTML 儀表板
  *
- * 使用方式: node scripts/visualize.js
- * 輸出: docs/dashboard.html
+ * 使用方式:
+ *   node scripts/visualize.js          生成儀表板，輸出 docs/dashboard.html
+ *   node scripts/visualize.js --watch  監看專案檔案，變更時重新生成儀表板
+ *   node scripts/visualize.js --serve [--port 3000]
+ *                                      同 --watch，並啟動本機伺服器自動重新載入瀏覽器
+ *   node scripts/visualize.js --format markdown|csv|json|ics|github|jira [--since 2024-01-08] [--out 檔案]
+ *                                      輸出進度報告、任務 CSV、JSON、行事曆，或 GitHub issues / Jira 格式
+ *                                      （未指定 --out 時印到畫面）
+ *   node scripts/visualize.js import github|jira <檔案> [--dry-run]
+ *                                      由 gh issue list --json 或 Jira CSV 匯入任務
+ *   node scripts/visualize.js portfolio <專案目錄或 projects/*>... [--out portfolio.html]
+ *                                      生成各專案儀表板與跨專案總覽頁
+ *   node scripts/visualize.js check    驗證專案檔案，有錯誤時結束碼為 1
+ *   node scripts/visualize.js health   檢查專案健康度，有錯誤時結束碼為 1、只有警告時為 2
+ *   node scripts/visualize.js sync     以 frontmatter 為準重建 tasks.md / timeline.md 內文
+ *                                      （加上 --dry-run 只列出差異）
+ *   node scripts/visualize.js add "標題" [--priority P1] [--due 2024-01-15] [--assignee 小美] [--tag 設計]
+ *   node scripts/visualize.js move <id> <status>
+ *   node scripts/visualize.js assign <id> [name]
+ *   node scripts/visualize.js done <id>
+ *   node scripts/visualize.js list [--status in-progress] [--assignee 小美] [--tag 設計]
+ *   node scripts/visualize.js template [範本名稱] [--dry-run]
+ *                                      依專案類型的範本建立任務（template list 列出可用範本）
+ *
+ * 修改 tasks.md 的指令只會寫入 frontmatter；加上 --sync 時一併依 frontmatter 重建內文的狀態區段。
+ *
+ * 所有指令皆可加上 --root <目錄> 指定專案目錄，--out <檔案> 指定儀表板輸出位置。
+ * 也可以 require('./scripts/visualize.js') 作為模組使用，見 module.exports。
  */
 
+const childProcess = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
 
-const ROOT_DIR = path.join(__dirname, '..');
-const TASKS_FILE = path.join(ROOT_DIR, 'tasks.md');
-const TIMELINE_FILE = path.join(ROOT_DIR, 'timeline.md');
-const PROJECT_FILE = path.join(ROOT_DIR, 'project.yaml');
-const OUTPUT_FILE = path.join(ROOT_DIR, 'docs', 'dashboard.html');
-
-// 簡易 YAML frontmatter 解析器
-function parseYamlFrontmatter(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---/);
-  if (!match) return {};
-
-  const yamlContent = match[1];
-  return parseSimpleYaml(yamlContent);
-}
-
-// 簡易 YAML 解析（支援陣列和基本值）
-function parseSimpleYaml(yaml) {
-  const result = {};
-  const lines = yaml.split('\n');
-  let currentKey = null;
-  let currentArray = null;
-  let currentObject = null;
-  let inArray = false;
-  let arrayIndent = 0;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    // 跳過註解和空行
-    if (trimmed.startsWith('#') || trimmed === '') continue;
-
-    // 檢測陣列項目
-    if (trimmed.startsWith('- ')) {
-      if (currentKey && (result[currentKey] === undefined || Array.isArray(result[currentKey]))) {
-        if (!Array.isArray(result[currentKey])) {
-          result[currentKey] = [];
-        }
-
-        // 檢查是否是物件陣列
-        const itemContent = trimmed.substring(2);
-        if (itemContent.includes(':')) {
-          // 物件陣列項目
-          const obj = {};
-          const firstPair = itemContent.match(/^(\w+):\s*(.*)$/);
-          if (firstPair) {
-            obj[firstPair[1]] = parseValue(firstPair[2]);
-          }
-
-          // 讀取後續的物件屬性
-          let j = i + 1;
-          while (j < lines.length) {
-            const nextLine = lines[j];
-            const nextTrimmed = nextLine.trim();
-            const indent = nextLine.search(/\S/);
-
-            if (nextTrimmed === '' || nextTrimmed.startsWith('#')) {
-              j++;
-              continue;
-            }
+const DEFAULT_ROOT = path.join(__dirname, '..');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 趨勢圖的 SVG 尺寸與邊距
+const CHART = { width: 800, height: 240, left: 40, right: 16, top: 16, bottom: 28 };
+// 成員分頁負荷圖顯示的週數（由本週起算）
+const LOAD_WEEKS = 8;
+
+// 儀表板配色；預設依系統的 prefers-color-scheme，可用頁面上的按鈕切換並記在 localStorage
+const THEMES = {
+  dark: {
+    'bg-primary': '#0d1117',
+    'bg-secondary': '#161b22',
+    'bg-tertiary': '#21262d',
+    'border-color': '#30363d',
+    'text-primary': '#e6edf3',
+    'text-secondary': '#8b949e',
+    'accent-blue': '#58a6ff',
+    'accent-green': '#3fb950',
+    'accent-yellow': '#d29922',
+    'accent-red': '#f85149',
+    'accent-purple': '#a371f7'
+  },
+  light: {
+    'bg-primary': '#ffffff',
+    'bg-secondary': '#f6f8fa',
+    'bg-tertiary': '#eaeef2',
+    'border-color': '#d0d7de',
+    'text-primary': '#1f2328',
+    'text-secondary': '#656d76',
+    'accent-blue': '#0969da',
+    'accent-green': '#1a7f37',
+    'accent-yellow': '#9a6700',
+    'accent-red': '#cf222e',
+    'accent-purple': '#8250df'
+  }
+};
+const THEME_STORAGE_KEY = 'cc-pm-theme';
+
+const TASK_STATUSES = ['backlog', 'in-progress', 'blocked', 'review', 'done'];
+const PRIORITIES = ['P0', 'P1', 'P2'];
+const MILESTONE_STATUSES = ['pending', 'achieved'];
+const PROJECT_TYPES = ['marketing', 'content', 'product', 'event', 'other'];
+const PROJECT_STATUSES = ['planning', 'active', 'on-hold', 'completed'];
+const DELIVERABLE_STATUSES = ['pending', 'done'];
+// 週期任務完成時，下一次任務的截止日間隔
+const RECUR_INTERVALS = { weekly: 7, biweekly: 14, monthly: 'month' };
+
+// tasks.md 內文的狀態區段
+const TASK_SECTIONS = [
+  { status: 'backlog', heading: '## 📋 待辦 (Backlog)', pattern: /\(Backlog\)\s*$/i },
+  { status: 'in-progress', heading: '## 🔵 進行中 (In Progress)', pattern: /\(In Progress\)\s*$/i },
+  { status: 'blocked', heading: '## 🔴 阻塞 (Blocked)', pattern: /\(Blocked\)\s*$/i },
+  { status: 'review', heading: '## 🟡 審核中 (Review)', pattern: /\(Review\)\s*$/i },
+  { status: 'done', heading: '## ✅ 已完成 (Done)', pattern: /\(Done\)\s*$/i }
+];
+const MILESTONE_STATUS_LABELS = { pending: '⏳ 未達成', achieved: '✅ 已達成' };
+const TASK_STATUS_LABELS = {
+  backlog: '📋 待辦',
+  'in-progress': '🔵 進行中',
+  blocked: '🔴 阻塞',
+  review: '🟡 審核中',
+  done: '✅ 完成'
+};
+
+// 任務詳細資訊面板的欄位名稱與順序，其他欄位以原本的鍵名列在最後
+const TASK_FIELD_LABELS = {
+  id: 'ID',
+  title: '標題',
+  status: '狀態',
+  priority: '優先級',
+  assignee: '負責人',
+  start: '開始',
+  due: '截止',
+  estimate: '預估天數',
+  actual_hours: '實際工時',
+  cost: '支出',
+  category: '預算類別',
+  created: '建立',
+  completed: '完成',
+  tags: '標籤',
+  blocked_by: '等待',
+  notes: '備註',
+  recur: '週期'
+};
+
+// 解析後節點的來源行號：物件或陣列 → { 鍵或索引: 行號 }
+const yamlLines = new WeakMap();
+
+// 取得對應表的鍵或序列項目在檔案中的行號
+function getYamlLine(node, key) {
+  const lines = node && typeof node === 'object' ? yamlLines.get(node) : null;
+  return lines && lines[key] !== undefined ? lines[key] : null;
+}
 
-            // 如果縮排變小或遇到新的陣列項目，結束當前物件
-            if (indent <= line.search(/\S/) || nextTrimmed.startsWith('- ')) {
-              break;
-            }
+// YAML 解析錯誤，訊息包含檔名與行號
+class YamlError extends Error {
+  constructor(message, file, line) {
+    super(`${file || 'YAML'}:${line}: ${message}`);
+    this.name = 'YamlError';
+    this.file = file || null;
+    this.line = line;
+    this.reason = message;
+  }
+}
 
-            const propMatch = nextTrimmed.match(/^(\w+):\s*(.*)$/);
-            if (propMatch) {
-              obj[propMatch[1]] = parseValue(propMatch[2]);
-            }
-            j++;
-          }
-          i = j - 1;
-          result[currentKey].push(obj);
-        } else {
-          // 簡單值陣列
-          result[currentKey].push(parseValue(itemContent));
-        }
-      }
-    } else {
-      // 鍵值對
-      const match = trimmed.match(/^(\w+):\s*(.*)$/);
-      if (match) {
-        currentKey = match[1];
-        const value = match[2];
-
-        if (value === '' || value === '[]') {
-          result[currentKey] = [];
-        } else {
-          result[currentKey] = parseValue(value);
-        }
-      }
+// 解析 Markdown 檔案開頭的 YAML frontmatter
+function parseYamlFrontmatter(content, file) {
+  const text = content.replace(/^\uFEFF/, '');
+  const match = text.match(/^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    if (/^---[ \t]*\r?\n/.test(text)) {
+      throw new YamlError('frontmatter 缺少結尾的 ---', file, 1);
     }
+    return {};
   }
 
-  return result;
-}
-
-function parseValue(str) {
-  str = str.trim();
-  if (str === '' || str === 'null' || str === '~') return null;
-  if (str === 'true') return true;
-  if (str === 'false') return false;
-  if (str.startsWith('"') && str.endsWith('"')) return str.slice(1, -1);
-  if (str.startsWith("'") && str.endsWith("'")) return str.slice(1, -1);
-  if (str.startsWith('[') && str.endsWith(']')) {
-    // 行內陣列
-    const inner = str.slice(1, -1);
-    if (inner === '') return [];
-    return inner.split(',').map(s => parseValue(s.trim()));
-  }
-  if (!isNaN(str) && str !== '') return Number(str);
-  return str;
+  // frontmatter 從檔案第 2 行開始
+  const data = parseYaml(match[1] || '', { file, lineOffset: 1 });
+  if (data === null) return {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new YamlError('frontmatter 必須是「鍵: 值」的對應表', file, 2);
+  }
+  return data;
 }
 
-// 解析 project.yaml
-function parseProjectYaml(content) {
-  const result = {
-    project: {},
-    stakeholders: {},
-    scope: {}
+// 無相依套件的 YAML 解析器，支援專案檔案用到的子集：
+// 區塊對應表與序列（可巢狀）、行內 [ ] / { }、單雙引號字串、
+// 區塊純量（| 與 >，含 chomping 與縮排指示）、註解、錨點與別名（& / * / <<）
+// 日期維持字串，不轉換為 Date
+function parseYaml(text, options = {}) {
+  const file = options.file || null;
+  const lineOffset = options.lineOffset || 0;
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(raw => ({
+    raw,
+    indent: raw.match(/^ */)[0].length,
+    text: undefined
+  }));
+  const anchors = new Map();
+  let pos = 0;
+
+  const fail = (message, index = pos) => {
+    throw new YamlError(message, file, index + 1 + lineOffset);
   };
 
-  const lines = content.split('\n');
-  let currentSection = null;
+  const isBlank = line => {
+    const content = line.raw.trim();
+    return content === '' || content.startsWith('#');
+  };
 
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed.startsWith('#') || trimmed === '') continue;
+  // 取得下一個有內容的行（略過空行與註解）
+  const peek = () => {
+    while (pos < lines.length && isBlank(lines[pos])) pos++;
+    return pos < lines.length ? lines[pos] : null;
+  };
 
-    if (line.match(/^project:/)) {
-      currentSection = 'project';
-      continue;
-    } else if (line.match(/^stakeholders:/)) {
-      currentSection = 'stakeholders';
-      continue;
-    } else if (line.match(/^scope:/)) {
-      currentSection = 'scope';
-      continue;
-    } else if (line.match(/^notes:/)) {
-      currentSection = null;
-      const match = line.match(/^notes:\s*(.*)$/);
-      if (match) result.notes = parseValue(match[1]);
-      continue;
+  // 去除註解後的行內容
+  const textOf = line => {
+    if (line.text === undefined) {
+      const content = line.raw.slice(line.indent);
+      if (content.startsWith('\t')) fail('縮排不可使用 Tab', lines.indexOf(line));
+      line.text = stripComment(content).trimEnd();
     }
+    return line.text;
+  };
 
-    if (currentSection && line.startsWith('  ')) {
-      const match = trimmed.match(/^(\w+):\s*(.*)$/);
-      if (match) {
-        result[currentSection][match[1]] = parseValue(match[2]);
-      }
+  const isSeqItem = text => text === '-' || text.startsWith('- ');
+
+  function parseNodeAt(indent) {
+    const line = peek();
+    const text = textOf(line);
+    if (isSeqItem(text)) return parseSequence(indent);
+    if (findMappingColon(text) !== -1) return parseMapping(indent);
+
+    const index = pos++;
+    return parseValueText(text, index, indent - 1, false);
+  }
+
+  // 解析縮排大於 parentIndent 的區塊節點，沒有則為 null
+  function parseBlock(parentIndent) {
+    const line = peek();
+    if (!line || line.indent <= parentIndent) return null;
+    return parseNodeAt(line.indent);
+  }
+
+  // 對應表的值：允許序列與鍵同一縮排（key:\n- a）
+  function parseNested(indent) {
+    const line = peek();
+    if (line && line.indent === indent && isSeqItem(textOf(line))) {
+      return parseSequence(indent);
     }
+    return parseBlock(indent);
   }
 
-  return result;
-}
+  function parseMapping(indent) {
+    const result = {};
+    const positions = {};
+    yamlLines.set(result, positions);
+
+    while (true) {
+      const line = peek();
+      if (!line || line.indent < indent) break;
+      if (line.indent > indent) fail('縮排錯誤');
+
+      const text = textOf(line);
+      if (isSeqItem(text)) fail('此處應為「鍵: 值」，而非序列項目');
+      const colon = findMappingColon(text);
+      if (colon === -1) fail('此處應為「鍵: 值」');
+
+      const index = pos++;
+      const key = parseKey(text.slice(0, colon).trim(), index);
+      const rest = text.slice(colon + 1).trim();
+      const value = rest === '' ? parseNested(indent) : parseValueText(rest, index, indent, true);
+
+      if (key === '<<') {
+        // 合併鍵：<<: *anchor 或 <<: [*a, *b]
+        const sources = Array.isArray(value) ? value : [value];
+        sources.forEach(source => {
+          if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            fail('<< 只能合併對應表', index);
+          }
+          Object.keys(source).forEach(k => {
+            if (!Object.prototype.hasOwnProperty.call(result, k)) result[k] = source[k];
+          });
+        });
+        continue;
+      }
 
-// 讀取並解析檔案
-function loadData() {
-  const tasksContent = fs.readFileSync(TASKS_FILE, 'utf-8');
-  const timelineContent = fs.readFileSync(TIMELINE_FILE, 'utf-8');
-  const projectContent = fs.readFileSync(PROJECT_FILE, 'utf-8');
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        fail(`重複的鍵「${key}」`, index);
+      }
+      result[key] = value;
+      positions[key] = index + 1 + lineOffset;
+    }
 
-  const tasks = parseYamlFrontmatter(tasksContent).tasks || [];
-  const milestones = parseYamlFrontmatter(timelineContent).milestones || [];
-  const project = parseProjectYaml(projectContent);
+    return result;
+  }
 
-  return { tasks, milestones, project };
-}
+  function parseSequence(indent) {
+    const result = [];
+    const positions = {};
+    yamlLines.set(result, positions);
+
+    while (true) {
+      const line = peek();
+      if (!line || line.indent < indent) break;
+      if (line.indent > indent) fail('縮排錯誤');
+
+      const text = textOf(line);
+      if (!isSeqItem(text)) break;
+
+      const content = text.slice(1).trimStart();
+      positions[result.length] = pos + 1 + lineOffset;
+      if (content === '') {
+        pos++;
+        result.push(parseBlock(indent));
+        continue;
+      }
 
-// 生成 HTML
-function generateHtml(data) {
-  const { tasks, milestones, project } = data;
-  const projectName = project.project?.name || '專案管理儀表板';
-  const today = new Date().toISOString().split('T')[0];
+      if (isSeqItem(content) || (!/^[[{]/.test(content) && findMappingColon(content) !== -1)) {
+        // 將「- 」之後的內容視為縮排更深的一行，例如「- id: 1」
+        line.indent = indent + (text.length - content.length);
+        line.text = content;
+        result.push(parseNodeAt(line.indent));
+        continue;
+      }
 
-  return `<!DOCTYPE html>
-<html lang="zh-TW">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${projectName} - 儀表板</title>
-  <style>
-    :root {
-      --bg-primary: #0d1117;
-      --bg-secondary: #161b22;
-      --bg-tertiary: #21262d;
-      --border-color: #30363d;
-      --text-primary: #e6edf3;
-      --text-secondary: #8b949e;
-      --accent-blue: #58a6ff;
-      --accent-green: #3fb950;
-      --accent-yellow: #d29922;
-      --accent-red: #f85149;
-      --accent-purple: #a371f7;
+      const index = pos++;
+      result.push(parseValueText(content, index, indent, false));
     }
 
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
+    return result;
+  }
 
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
-      background: var(--bg-primary);
-      color: var(--text-primary);
-      line-height: 1.5;
+  // 解析同一行上的值；必要時讀取後續行（區塊純量、跨行字串或行內集合）
+  function parseValueText(text, index, parentIndent, inMapping) {
+    if (text.startsWith('&')) {
+      const match = text.match(/^&([^\s[\]{},]+)\s*(.*)$/);
+      if (!match) fail('錨點名稱無效', index);
+      const value = match[2] === ''
+        ? (inMapping ? parseNested(parentIndent) : parseBlock(parentIndent))
+        : parseValueText(match[2], index, parentIndent, inMapping);
+      anchors.set(match[1], value);
+      return value;
     }
 
-    .container {
-      max-width: 1400px;
-      margin: 0 auto;
-      padding: 24px;
+    if (text.startsWith('*')) {
+      const name = text.slice(1);
+      if (!anchors.has(name)) fail(`未定義的錨點「${name}」`, index);
+      return anchors.get(name);
     }
 
-    header {
-      margin-bottom: 32px;
-      padding-bottom: 16px;
-      border-bottom: 1px solid var(--border-color);
+    if (text.startsWith('|') || text.startsWith('>')) {
+      return parseBlockScalar(text, index, parentIndent);
     }
 
-    header h1 {
-      font-size: 24px;
-      font-weight: 600;
-      margin-bottom: 8px;
+    if (text.startsWith('[') || text.startsWith('{')) {
+      return parseFlow(readFlowText(text, index), index);
     }
 
-    .project-meta {
-      display: flex;
-      gap: 24px;
-      color: var(--text-secondary);
-      font-size: 14px;
+    if (text.startsWith('"') || text.startsWith("'")) {
+      const source = readQuotedText(text, index);
+      const { value, end } = readQuoted(source, 0, index);
+      if (source.slice(end).trim() !== '') fail('引號字串後有多餘的內容', index);
+      return value;
     }
 
-    .project-meta span {
-      display: flex;
-      align-items: center;
-      gap: 6px;
+    if (text.startsWith('!')) fail('不支援 YAML 標籤（!tag）', index);
+    if (/^[@`%]/.test(text)) fail(`純量不可以「${text[0]}」開頭，請以引號包住`, index);
+    if (/:(\s|$)/.test(text)) fail('值中不可包含「: 」，請以引號包住', index);
+
+    // 跨行的純量：後續縮排更深的行以空白串接
+    let value = text;
+    while (true) {
+      const line = peek();
+      if (!line || line.indent <= parentIndent) break;
+      const next = textOf(line);
+      if (isSeqItem(next) || findMappingColon(next) !== -1) break;
+      value += ` ${next.trim()}`;
+      pos++;
     }
 
-    .tabs {
-      display: flex;
-      gap: 8px;
-      margin-bottom: 24px;
-      border-bottom: 1px solid var(--border-color);
-      padding-bottom: 0;
-    }
+    return resolvePlain(value);
+  }
 
-    .tab {
-      padding: 12px 16px;
-      background: none;
-      border: none;
-      color: var(--text-secondary);
-      font-size: 14px;
-      cursor: pointer;
-      border-bottom: 2px solid transparent;
-      margin-bottom: -1px;
-      transition: all 0.2s;
+  // 引號字串未在同一行結束時，接上後續的行
+  function readQuotedText(text, index) {
+    let source = text;
+    while (!isQuoteClosed(source)) {
+      if (pos >= lines.length) fail('引號字串沒有結束', index);
+      const next = lines[pos++].raw.trim();
+      source += next === '' ? '\n' : ` ${next}`;
     }
+    return source;
+  }
 
-    .tab:hover {
-      color: var(--text-primary);
+  // 行內集合未在同一行結束時，接上後續的行
+  function readFlowText(text, index) {
+    let source = text;
+    while (!isFlowClosed(source)) {
+      if (pos >= lines.length) fail('行內集合缺少結尾括號', index);
+      const line = lines[pos++];
+      if (isBlank(line)) continue;
+      source += ` ${stripComment(line.raw.trim())}`;
     }
+    return source;
+  }
 
-    .tab.active {
-      color: var(--text-primary);
-      border-bottom-color: var(--accent-blue);
+  function parseBlockScalar(header, index, parentIndent) {
+    const match = header.match(/^([|>])(?:([1-9])([-+])?|([-+])([1-9])?)?$/);
+    if (!match) fail('區塊純量標頭格式錯誤', index);
+
+    const style = match[1];
+    const explicitIndent = Number(match[2] || match[5]) || 0;
+    const chomp = match[3] || match[4] || '';
+    const baseIndent = Math.max(parentIndent, 0);
+    let contentIndent = explicitIndent ? baseIndent + explicitIndent : null;
+    const collected = [];
+
+    while (pos < lines.length) {
+      const { raw, indent } = lines[pos];
+      if (raw.trim() === '') {
+        collected.push(contentIndent !== null ? raw.slice(contentIndent) : '');
+        pos++;
+        continue;
+      }
+      if (contentIndent === null) {
+        if (indent <= parentIndent) break;
+        contentIndent = indent;
+      }
+      if (indent < contentIndent) break;
+      collected.push(raw.slice(contentIndent));
+      pos++;
     }
 
-    .tab-content {
-      display: none;
-    }
+    let end = collected.length;
+    while (end > 0 && collected[end - 1].trim() === '') end--;
+    const body = collected.slice(0, end);
+    const trailing = collected.length - end;
 
-    .tab-content.active {
-      display: block;
-    }
+    if (body.length === 0) return chomp === '+' ? '\n'.repeat(trailing) : '';
 
-    /* Kanban Board */
-    .kanban {
-      display: grid;
-      grid-template-columns: repeat(5, 1fr);
-      gap: 16px;
-      overflow-x: auto;
-    }
+    const value = style === '|' ? body.join('\n') : foldLines(body);
+    if (chomp === '-') return value;
+    if (chomp === '+') return `${value}\n${'\n'.repeat(trailing)}`;
+    return `${value}\n`;
+  }
 
-    .kanban-column {
-      background: var(--bg-secondary);
-      border-radius: 8px;
-      padding: 12px;
-      min-width: 250px;
-    }
+  function parseFlow(source, index) {
+    let i = 0;
 
-    .column-header {
-      display: flex;
-      align-items: center;
-      gap: 8px;
-      margin-bottom: 12px;
-      padding-bottom: 8px;
-      border-bottom: 1px solid var(--border-color);
-    }
+    const skipSpace = () => {
+      while (i < source.length && /\s/.test(source[i])) i++;
+    };
 
-    .column-header h3 {
-      font-size: 14px;
-      font-weight: 600;
-    }
+    const readPlain = inMap => {
+      const start = i;
+      while (i < source.length) {
+        const c = source[i];
+        if (c === ',' || c === '[' || c === ']' || c === '{' || c === '}') break;
+        if (inMap && c === ':' && (i + 1 >= source.length || /[\s,\]}]/.test(source[i + 1]))) break;
+        i++;
+      }
+      return source.slice(start, i).trim();
+    };
+
+    const parseItem = inMap => {
+      skipSpace();
+      const c = source[i];
+
+      if (c === '[') {
+        i++;
+        const items = [];
+        while (true) {
+          skipSpace();
+          if (source[i] === ']') { i++; break; }
+          items.push(parseItem(false));
+          skipSpace();
+          if (source[i] === ',') { i++; continue; }
+          if (source[i] === ']') { i++; break; }
+          fail('行內序列缺少「,」或「]」', index);
+        }
+        return items;
+      }
 
-    .column-count {
-      background: var(--bg-tertiary);
-      color: var(--text-secondary);
-      font-size: 12px;
-      padding: 2px 8px;
-      border-radius: 10px;
-    }
+      if (c === '{') {
+        i++;
+        const map = {};
+        while (true) {
+          skipSpace();
+          if (source[i] === '}') { i++; break; }
+          let key;
+          if (source[i] === '"' || source[i] === "'") {
+            const quoted = readQuoted(source, i, index);
+            key = quoted.value;
+            i = quoted.end;
+          } else {
+            key = readPlain(true);
+          }
+          if (key === '') fail('行內對應表的鍵不可為空', index);
+          skipSpace();
+          let value = null;
+          if (source[i] === ':') {
+            i++;
+            skipSpace();
+            if (source[i] !== ',' && source[i] !== '}') value = parseItem(true);
+          }
+          if (Object.prototype.hasOwnProperty.call(map, key)) fail(`重複的鍵「${key}」`, index);
+          map[key] = value;
+          skipSpace();
+          if (source[i] === ',') { i++; continue; }
+          if (source[i] === '}') { i++; break; }
+          fail('行內對應表缺少「,」或「}」', index);
+        }
+        return map;
+      }
 
-    .task-card {
-      background: var(--bg-tertiary);
-      border: 1px solid var(--border-color);
-      border-radius: 6px;
-      padding: 12px;
-      margin-bottom: 8px;
-      cursor: pointer;
-      transition: all 0.2s;
-    }
+      if (c === '"' || c === "'") {
+        const quoted = readQuoted(source, i, index);
+        i = quoted.end;
+        return quoted.value;
+      }
 
-    .task-card:hover {
-      border-color: var(--accent-blue);
-      transform: translateY(-1px);
-    }
+      if (c === '*') {
+        i++;
+        const name = readPlain(inMap);
+        if (!anchors.has(name)) fail(`未定義的錨點「${name}」`, index);
+        return anchors.get(name);
+      }
 
-    .task-title {
-      font-size: 14px;
-      font-weight: 500;
-      margin-bottom: 8px;
-    }
+      const plain = readPlain(inMap);
+      if (plain === '') fail('行內集合中有空白項目', index);
+      return resolvePlain(plain);
+    };
 
-    .task-meta {
-      display: flex;
-      flex-wrap: wrap;
-      gap: 8px;
-      font-size: 12px;
+    const value = parseItem(false);
+    skipSpace();
+    if (i < source.length) fail('行內集合後有多餘的內容', index);
+    return value;
+  }
+
+  function parseKey(raw, index) {
+    if (raw.startsWith('"') || raw.startsWith("'")) {
+      const { value, end } = readQuoted(raw, 0, index);
+      if (end !== raw.length) fail('鍵的格式錯誤', index);
+      return value;
     }
+    if (raw === '') fail('鍵不可為空', index);
+    return raw;
+  }
 
-    .priority {
-      padding: 2px 6px;
-      border-radius: 4px;
-      font-weight: 500;
+  function readQuoted(source, start, index) {
+    const quote = source[start];
+    let value = '';
+    let i = start + 1;
+
+    while (i < source.length) {
+      const c = source[i];
+      if (quote === "'") {
+        if (c === "'") {
+          if (source[i + 1] === "'") {
+            value += "'";
+            i += 2;
+            continue;
+          }
+          return { value, end: i + 1 };
+        }
+      } else if (c === '"') {
+        return { value, end: i + 1 };
+      } else if (c === '\\') {
+        const next = source[i + 1];
+        const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ', b: '\b' };
+        if (next in escapes) {
+          value += escapes[next];
+          i += 2;
+          continue;
+        }
+        const hex = { x: 2, u: 4, U: 8 }[next];
+        const digits = hex && source.slice(i + 2, i + 2 + hex);
+        if (!hex || !/^[0-9a-fA-F]+$/.test(digits) || digits.length !== hex) {
+          fail(`無效的跳脫字元「\\${next || ''}」`, index);
+        }
+        value += String.fromCodePoint(parseInt(digits, 16));
+        i += 2 + hex;
+        continue;
+      }
+      value += c;
+      i++;
     }
 
-    .priority-p0 { background: rgba(248, 81, 73, 0.2); color: var(--accent-red); }
-    .priority-p1 { background: rgba(210, 153, 34, 0.2); color: var(--accent-yellow); }
-    .priority-p2 { background: rgba(63, 185, 80, 0.2); color: var(--accent-green); }
+    return fail('引號字串沒有結束', index);
+  }
 
-    .due-date {
-      color: var(--text-secondary);
-    }
+  // 文件標記：略過開頭的 ---，之後的 --- 或 ... 視為文件結束
+  const isMarker = line => /^(---|\.\.\.)(\s|$)/.test(line.raw);
+  const first = peek();
+  if (first && first.raw.startsWith('---') && isMarker(first)) pos++;
 
-    .due-date.overdue {
-      color: var(--accent-red);
+  const endIndex = lines.findIndex((line, i) => i >= pos && isMarker(line));
+  if (endIndex !== -1) {
+    const after = lines.slice(endIndex + 1).findIndex(line => !isBlank(line));
+    if (lines[endIndex].raw.startsWith('---') && after !== -1) {
+      fail('不支援多份 YAML 文件', endIndex);
     }
+    lines.length = endIndex;
+  }
 
-    .assignee {
-      color: var(--accent-blue);
+  const start = peek();
+  if (!start) return null;
+
+  const result = parseNodeAt(start.indent);
+  if (peek()) fail('無法解析的內容，請檢查縮排');
+
+  return result;
+}
+
+// 移除行尾註解（# 前須為空白，且不在引號內）
+// 值中的 #3 等任務提及（# 後緊接數字）視為文字，例如 title: 跟進 #3 的回饋
+function stripComment(text) {
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (quote === '"' && c === '\\') {
+        i++;
+      } else if (c === quote) {
+        if (quote === "'" && text[i + 1] === "'") i++;
+        else quote = null;
+      }
+      continue;
     }
+    // 引號只在值的開頭才有意義，例如 it's 中的 ' 不算
+    if ((c === '"' || c === "'") && (i === 0 || /[\s[{,:-]/.test(text[i - 1]))) {
+      quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      if (/\d/.test(text[i + 1] || '') && text.slice(0, i).trim() !== '') continue;
+      return text.slice(0, i);
+    }
+  }
 
-    .empty-state {
-      color: var(--text-secondary);
-      font-size: 13px;
-      text-align: center;
-      padding: 24px;
+  return text;
+}
+
+// 找出「鍵: 值」的冒號位置，不是對應表則回傳 -1
+function findMappingColon(text) {
+  if (/^[[{]/.test(text)) return -1;
+
+  let i = 0;
+  if (text.startsWith('"') || text.startsWith("'")) {
+    const quote = text[0];
+    i = 1;
+    while (i < text.length) {
+      if (quote === '"' && text[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (text[i] === quote) {
+        if (quote === "'" && text[i + 1] === "'") {
+          i += 2;
+          continue;
+        }
+        break;
+      }
+      i++;
     }
+    i++;
+    while (text[i] === ' ') i++;
+    return text[i] === ':' && (i + 1 === text.length || text[i + 1] === ' ') ? i : -1;
+  }
 
-    /* Timeline */
-    .timeline-container {
-      background: var(--bg-secondary);
-      border-radius: 8px;
-      padding: 24px;
+  for (; i < text.length; i++) {
+    if (text[i] === ':' && (i + 1 === text.length || text[i + 1] === ' ')) return i;
+  }
+  return -1;
+}
+
+function isQuoteClosed(text) {
+  const quote = text[0];
+  for (let i = 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") i++;
+      else return true;
     }
+  }
+  return false;
+}
 
-    .timeline {
-      position: relative;
-      padding-left: 24px;
+function isFlowClosed(text) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (quote === '"' && c === '\\') i++;
+      else if (c === quote) quote = null;
+      continue;
     }
+    if ((c === '"' || c === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) quote = c;
+    else if (c === '[' || c === '{') depth++;
+    else if (c === ']' || c === '}') depth--;
+  }
 
-    .timeline::before {
-      content: '';
-      position: absolute;
-      left: 6px;
-      top: 0;
-      bottom: 0;
-      width: 2px;
-      background: var(--border-color);
-    }
+  return depth <= 0 && !quote;
+}
 
-    .timeline-item {
-      position: relative;
-      margin-bottom: 24px;
-      padding-left: 24px;
-    }
+// 折疊區塊純量（>）：相鄰的行以空白連接，空行保留為換行
+function foldLines(lines) {
+  let result = '';
 
-    .timeline-item::before {
-      content: '';
-      position: absolute;
-      left: -21px;
-      top: 4px;
-      width: 12px;
-      height: 12px;
-      border-radius: 50%;
-      background: var(--bg-tertiary);
-      border: 2px solid var(--accent-blue);
+  lines.forEach((line, i) => {
+    if (i === 0) {
+      result = line;
+      return;
     }
-
-    .timeline-item.achieved::before {
-      background: var(--accent-green);
-      border-color: var(--accent-green);
+    const prev = lines[i - 1];
+    const indented = l => /^\s/.test(l);
+    if (line === '') {
+      result += '\n';
+    } else if (prev === '') {
+      result += line;
+    } else if (indented(line) || indented(prev)) {
+      result += `\n${line}`;
+    } else {
+      result += ` ${line}`;
     }
+  });
 
-    .timeline-item.overdue::before {
-      background: var(--accent-red);
-      border-color: var(--accent-red);
-    }
+  return result;
+}
 
-    .timeline-date {
-      font-size: 12px;
-      color: var(--text-secondary);
-      margin-bottom: 4px;
-    }
+// 解析純量值
+function resolvePlain(str) {
+  if (str === '' || /^(~|null|Null|NULL)$/.test(str)) return null;
+  if (/^(true|True|TRUE)$/.test(str)) return true;
+  if (/^(false|False|FALSE)$/.test(str)) return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(str)) return Number(str);
+  if (/^0x[0-9a-fA-F]+$/.test(str)) return parseInt(str, 16);
+  return str;
+}
 
-    .timeline-title {
-      font-size: 16px;
-      font-weight: 600;
-      margin-bottom: 4px;
-    }
+// 解析 project.yaml
+function parseProjectYaml(content, file) {
+  const data = parseYaml(content, { file }) || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new YamlError('project.yaml 必須是「鍵: 值」的對應表', file, 1);
+  }
 
-    .timeline-tasks {
-      font-size: 13px;
-      color: var(--text-secondary);
-    }
+  const result = {
+    ...data,
+    project: data.project || {},
+    stakeholders: data.stakeholders || {},
+    scope: data.scope || {}
+  };
+  yamlLines.set(result, yamlLines.get(data));
+  return result;
+}
 
-    /* Gantt Chart */
-    .gantt-container {
-      background: var(--bg-secondary);
-      border-radius: 8px;
-      padding: 24px;
-      overflow-x: auto;
-      margin-top: 24px;
-    }
+// 專案檔案路徑：預設為 scripts/ 的上一層，可指定 root 或個別覆寫
+function resolvePaths(options = {}) {
+  const root = path.resolve(options.root || DEFAULT_ROOT);
+  return {
+    root,
+    tasks: options.tasks || path.join(root, 'tasks.md'),
+    timeline: options.timeline || path.join(root, 'timeline.md'),
+    project: options.project || path.join(root, 'project.yaml'),
+    decisions: options.decisions || path.join(root, 'decisions.md'),
+    meetings: options.meetings || path.join(root, 'meetings'),
+    templates: options.templates || path.join(root, 'templates'),
+    docs: options.docs || path.join(root, 'docs'),
+    output: options.output || path.join(root, 'docs', 'dashboard.html')
+  };
+}
 
-    .gantt-header {
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      margin-bottom: 16px;
-    }
+// 讀取並解析單一檔案；有 cache 時只解析尚未快取的檔案（watch 模式會清除變更的檔案）
+function readParsed(file, parse, cache) {
+  if (cache && cache.has(file)) return cache.get(file);
+  const value = parse(fs.readFileSync(file, 'utf-8'));
+  if (cache) cache.set(file, value);
+  return value;
+}
 
-    .gantt-header h3 {
-      font-size: 16px;
-      font-weight: 600;
-    }
+// 讀取並解析檔案；options 可指定路徑（見 resolvePaths）、cache，以及 history: false 略過讀取 git 歷史
+function loadData(options = {}) {
+  const paths = resolvePaths(options);
+  const { cache } = options;
 
-    .gantt-chart {
-      min-width: 800px;
-    }
+  const tasks = readParsed(paths.tasks, content =>
+    parseYamlFrontmatter(content, 'tasks.md').tasks || [], cache);
+  const milestones = readParsed(paths.timeline, content =>
+    parseYamlFrontmatter(content, 'timeline.md').milestones || [], cache);
+  const project = readParsed(paths.project, content => parseProjectYaml(content, 'project.yaml'), cache);
 
-    .gantt-row {
-      display: flex;
-      align-items: center;
-      margin-bottom: 8px;
-      height: 36px;
-    }
+  // decisions.md 為選用檔案
+  const decisions = fs.existsSync(paths.decisions)
+    ? readParsed(paths.decisions, content =>
+      parseYamlFrontmatter(content, 'decisions.md').decisions || [], cache)
+    : [];
 
-    .gantt-label {
-      width: 200px;
-      font-size: 13px;
-      padding-right: 16px;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
-    }
+  const meetings = loadMeetings(paths.meetings, cache);
+  const taskHistory = options.history === false ? [] : loadTaskHistory(paths.tasks, cache);
+  const docs = { dir: paths.docs, files: listDocs(paths.docs) };
 
-    .gantt-bars {
-      flex: 1;
-      height: 100%;
-      background: var(--bg-tertiary);
-      border-radius: 4px;
-      position: relative;
-    }
+  return { tasks, milestones, project, decisions, meetings, taskHistory, docs };
+}
 
-    .gantt-bar {
-      position: absolute;
-      height: 24px;
-      top: 6px;
-      border-radius: 4px;
-      display: flex;
-      align-items: center;
-      padding: 0 8px;
-      font-size: 11px;
-      color: white;
-      white-space: nowrap;
-      overflow: hidden;
-    }
+// 列出 docs/ 下的檔案（相對路徑，以 / 分隔），供交付項目檢查檔案是否已產出
+function listDocs(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .flatMap(entry => entry.isDirectory()
+      ? listDocs(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`])
+    .sort();
+}
 
-    .gantt-bar.backlog { background: var(--text-secondary); }
-    .gantt-bar.in-progress { background: var(--accent-blue); }
-    .gantt-bar.blocked { background: var(--accent-red); }
-    .gantt-bar.review { background: var(--accent-yellow); }
-    .gantt-bar.done { background: var(--accent-green); }
-    .gantt-bar.milestone { background: var(--accent-purple); }
+// 讀取 meetings/*.md 的 frontmatter
+function loadMeetings(dir, cache) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.md'))
+    .sort()
+    .map(file => readParsed(path.join(dir, file), content => {
+      const meta = parseYamlFrontmatter(content, `meetings/${file}`);
+      // 沒有 title 時使用內文第一個標題，再退回檔名
+      const heading = content.match(/^#\s+(.+)$/m);
+
+      const meeting = {
+        file,
+        date: meta.date || null,
+        title: meta.title || (heading ? heading[1].trim() : file.replace(/\.md$/, '')),
+        attendees: toIdList(meta.attendees),
+        tasks: toIdList(meta.tasks),
+        action_items: toIdList(meta.action_items).map(item =>
+          typeof item === 'object' ? item : { title: item }
+        )
+      };
+      // 沿用 frontmatter 的行號，供驗證時回報
+      yamlLines.set(meeting, yamlLines.get(meta));
+      return meeting;
+    }, cache));
+}
 
-    .gantt-scale {
-      position: relative;
-      height: 24px;
-      margin-bottom: 8px;
-      border-bottom: 1px solid var(--border-color);
-    }
+// 從 git 歷史讀取 tasks.md 的舊版本，回傳每天最後一次提交時的任務狀態
+// [{ date, statuses: { id: status }, revisions: { id: 任務內容的 JSON } }]
+// listKey 指定 frontmatter 中的清單，例如以 'milestones' 讀取 timeline.md 的里程碑
+// 不在 git 版本庫中或無法執行 git 時回傳空陣列
+function loadTaskHistory(file, cache, listKey = 'tasks') {
+  const git = args => childProcess.execFileSync('git', args, {
+    cwd: path.dirname(file),
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    maxBuffer: 64 * 1024 * 1024
+  });
 
-    .gantt-scale span {
-      position: absolute;
-      font-size: 11px;
-      color: var(--text-secondary);
-      transform: translateX(-50%);
-    }
+  let log;
+  try {
+    log = git(['log', '--format=%H %cd', '--date=short', '--', path.basename(file)]);
+  } catch (error) {
+    return [];
+  }
 
-    .gantt-today {
-      position: absolute;
-      top: 24px;
-      bottom: 0;
-      width: 2px;
-      background: var(--accent-red);
-      z-index: 10;
-    }
+  // git log 由新到舊，同一天只保留最後一次提交
+  const commits = new Map();
+  log.split('\n').filter(Boolean).forEach(line => {
+    const [hash, date] = line.split(' ');
+    if (!commits.has(date)) commits.set(date, hash);
+  });
 
-    .gantt-today::before {
-      content: '';
-      position: absolute;
-      top: -8px;
-      left: -4px;
-      width: 0;
-      height: 0;
-      border-left: 5px solid transparent;
-      border-right: 5px solid transparent;
-      border-top: 8px solid var(--accent-red);
+  const history = [];
+  commits.forEach((hash, date) => {
+    const key = `${file}@${hash}#${listKey}`;
+    if (cache && cache.has(key)) {
+      history.push({ date, ...cache.get(key) });
+      return;
     }
-
-    /* Summary Stats */
-    .stats {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-      gap: 16px;
-      margin-bottom: 24px;
+    try {
+      const tasks = parseYamlFrontmatter(git(['show', `${hash}:./${path.basename(file)}`]), path.basename(file))[listKey];
+      const statuses = {};
+      const revisions = {};
+      toIdList(tasks).forEach(task => {
+        if (task && task.id !== undefined && task.id !== null) {
+          statuses[task.id] = task.status;
+          revisions[task.id] = JSON.stringify(task);
+        }
+      });
+      if (cache) cache.set(key, { statuses, revisions });
+      history.push({ date, statuses, revisions });
+    } catch (error) {
+      // 舊版本格式錯誤時略過該次提交
     }
+  });
 
-    .stat-card {
-      background: var(--bg-secondary);
-      border-radius: 8px;
-      padding: 16px;
-      text-align: center;
-    }
+  return history.sort((a, b) => a.date.localeCompare(b.date));
+}
 
-    .stat-value {
-      font-size: 32px;
-      font-weight: 600;
-      color: var(--accent-blue);
+// 找出會議待辦事項對應的任務（依 task ID，其次依標題比對）
+function findActionItemTask(item, tasks) {
+  if (item.task !== undefined && item.task !== null) {
+    return tasks.find(t => t.id === item.task) || null;
+  }
+  const title = String(item.title || '').trim().toLowerCase();
+  if (!title) return null;
+  return tasks.find(t => String(t.title || '').trim().toLowerCase() === title) || null;
+}
+
+// 跳脫 HTML 特殊字元
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// 只允許已知的狀態與優先級作為 CSS class，避免任意字串寫進 class 屬性
+function statusClass(status) {
+  return TASK_STATUSES.includes(status) ? status : 'unknown';
+}
+
+function priorityClass(priority) {
+  return PRIORITIES.includes(priority) ? `priority-${priority.toLowerCase()}` : 'priority-unknown';
+}
+
+// 日期字串（YYYY-MM-DD）加減天數
+function addDays(date, days) {
+  const d = new Date(date);
+  return new Date(d.getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+// 計算任務在甘特圖上的起訖日期，沒有（有效的）due 的任務回傳 null
+// 開始日優先使用 start，其次為 created，最後以 due 減去 estimate（天）推算
+function getTaskSchedule(task) {
+  let end = isValidDate(task.due) ? task.due : null;
+  let start = isValidDate(task.start) ? task.start : null;
+  const estimate = Number(task.estimate) || 0;
+
+  if (!end && start && estimate > 0) end = addDays(start, estimate - 1);
+  if (!end) return null;
+
+  if (!start) start = isValidDate(task.created) ? task.created : null;
+  if (!start) start = estimate > 0 ? addDays(end, -(estimate - 1)) : end;
+  if (start > end) start = end;
+
+  return { start, end };
+}
+
+// 將單一 ID 或 ID 陣列正規化為陣列
+function toIdList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// 交付項目可寫成字串，或含 title、tasks（任務 ID）、files（docs/ 下的檔案）與選填 status 的對應表
+function normalizeDeliverable(item) {
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    return {
+      title: String(item.title || item.name || '未命名交付項目'),
+      tasks: toIdList(item.tasks),
+      files: toIdList(item.files).map(file => String(file).replace(/^\.?\/?docs\//, '')),
+      status: item.status || null,
+      notes: item.notes || ''
+    };
+  }
+  return { title: String(item), tasks: [], files: [], status: null, notes: '' };
+}
+
+// 交付項目進度：關聯任務全部完成、檔案都已產出即為完成；status: done 可手動標記完成
+// 沒有關聯任務與檔案、也沒有手動標記時為 untracked
+function getDeliverableProgress(item, tasks, docFiles = []) {
+  const deliverable = normalizeDeliverable(item);
+  const linked = deliverable.tasks.map(id => ({ id, task: tasks.find(t => t && t.id === id) || null }));
+  const files = deliverable.files.map(file => ({ file, exists: docFiles.includes(file) }));
+  const total = linked.length + files.length;
+  const completed = linked.filter(l => l.task && l.task.status === 'done').length + files.filter(f => f.exists).length;
+
+  let status;
+  if (deliverable.status === 'done') status = 'done';
+  else if (total === 0) status = 'untracked';
+  else if (completed === total) status = 'done';
+  else status = completed > 0 || linked.some(l => l.task && l.task.status !== 'backlog') ? 'in-progress' : 'pending';
+
+  return { ...deliverable, linked, files, total, completed, status };
+}
+
+// 里程碑進度：關聯任務、完成數、截止日晚於里程碑的未完成任務，以及依任務狀態推導的狀態
+// 有關聯任務時，全部完成即為 achieved；沒有關聯任務時沿用手動設定的 status
+function getMilestoneProgress(milestone, tasks) {
+  const linked = toIdList(milestone.tasks).map(id => ({ id, task: tasks.find(t => t.id === id) || null }));
+  const existing = linked.map(l => l.task).filter(Boolean);
+  const done = existing.filter(t => t.status === 'done').length;
+  const lateTasks = isValidDate(milestone.due)
+    ? existing.filter(t => t.status !== 'done' && isValidDate(t.due) && t.due > milestone.due)
+    : [];
+  const derivedStatus = existing.length > 0 ? (done === existing.length ? 'achieved' : 'pending') : null;
+
+  return {
+    linked,
+    total: existing.length,
+    done,
+    remaining: existing.length - done,
+    lateTasks,
+    derivedStatus,
+    status: derivedStatus || milestone.status || 'pending',
+    mismatch: Boolean(derivedStatus && MILESTONE_STATUSES.includes(milestone.status) && milestone.status !== derivedStatus)
+  };
+}
+
+// 最近 days 天的完成速度（依 completed），供預估里程碑完成日
+function getRecentThroughput(tasks, today, days = 28) {
+  const since = addDays(today, -days);
+  const completed = tasks.filter(t => isValidDate(t.completed) && t.completed > since && t.completed <= today).length;
+  return { days, completed, perDay: completed / days };
+}
+
+// 分析 blocked_by 依賴關係：邊、循環、不存在的參照與各里程碑的關鍵路徑
+function analyzeDependencies(tasks, milestones) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const edges = [];
+  const missing = [];
+
+  tasks.forEach(task => {
+    toIdList(task.blocked_by).forEach(ref => {
+      if (byId.has(ref)) {
+        edges.push({ from: ref, to: task.id });
+      } else {
+        missing.push({ task: task.id, ref });
+      }
+    });
+  });
+
+  const blockers = new Map(tasks.map(t => [t.id, []]));
+  const dependents = new Map(tasks.map(t => [t.id, []]));
+  edges.forEach(e => {
+    blockers.get(e.to).push(e.from);
+    dependents.get(e.from).push(e.to);
+  });
+
+  // DFS 找出循環依賴（回邊即代表循環）
+  const cycles = [];
+  const cycleEdges = new Set();
+  const state = new Map();
+  const stack = [];
+
+  const visit = id => {
+    state.set(id, 'visiting');
+    stack.push(id);
+    dependents.get(id).forEach(next => {
+      if (state.get(next) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(next));
+        cycles.push([...cycle, next]);
+        for (let i = 0; i < cycle.length; i++) {
+          cycleEdges.add(`${cycle[i]}->${cycle[(i + 1) % cycle.length]}`);
+        }
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    });
+    stack.pop();
+    state.set(id, 'done');
+  };
+  tasks.forEach(t => {
+    if (!state.has(t.id)) visit(t.id);
+  });
+
+  const isAcyclic = (from, to) => !cycleEdges.has(`${from}->${to}`);
+
+  // 層級 = 從起點算起的最長路徑（忽略循環中的邊）
+  const depth = new Map();
+  const getDepth = id => {
+    if (depth.has(id)) return depth.get(id);
+    depth.set(id, 0);
+    const d = blockers.get(id)
+      .filter(b => isAcyclic(b, id))
+      .reduce((max, b) => Math.max(max, getDepth(b) + 1), 0);
+    depth.set(id, d);
+    return d;
+  };
+  tasks.forEach(t => getDepth(t.id));
+
+  // 關鍵路徑：以未完成任務組成、結束於里程碑任務的最長依賴鏈
+  const longest = new Map();
+  const getLongest = id => {
+    if (longest.has(id)) return longest.get(id);
+    longest.set(id, []);
+    let best = [];
+    blockers.get(id)
+      .filter(b => isAcyclic(b, id) && byId.get(b).status !== 'done')
+      .forEach(b => {
+        const chain = getLongest(b);
+        if (chain.length > best.length) best = chain;
+      });
+    const result = [...best, id];
+    longest.set(id, result);
+    return result;
+  };
+
+  const criticalPaths = milestones.map(m => {
+    let critical = [];
+    toIdList(m.tasks).forEach(id => {
+      if (!byId.has(id) || byId.get(id).status === 'done') return;
+      const chain = getLongest(id);
+      if (chain.length > critical.length) critical = chain;
+    });
+    return { milestone: m, path: critical };
+  });
+
+  return { edges, missing, cycles, cycleEdges, depth, blockers, dependents, criticalPaths };
+}
+
+// 驗證專案資料，回傳問題清單 [{ file, line, level, message }]
+function validateProject(data) {
+  const { tasks, milestones, project, decisions = [], meetings = [] } = data;
+  const problems = [];
+
+  const report = (level, file, node, key, message) => {
+    problems.push({ file, line: getYamlLine(node, key), level, message });
+  };
+  const error = (...args) => report('error', ...args);
+  const warning = (...args) => report('warning', ...args);
+
+  const checkEnum = (file, node, key, allowed, label, optional) => {
+    const value = node[key];
+    if (value === undefined || value === null || (optional && value === '')) {
+      if (!optional) error(file, node, key, `${label}缺少 ${key}`);
+      return;
     }
+    if (!allowed.includes(value)) {
+      error(file, node, key, `${label}的 ${key}「${value}」無效，應為 ${allowed.join(' | ')}`);
+    }
+  };
 
-    .stat-label {
-      font-size: 12px;
-      color: var(--text-secondary);
-      margin-top: 4px;
+  const checkDate = (file, node, key, label) => {
+    const value = node[key];
+    if (value === undefined || value === null || value === '') return;
+    if (!isValidDate(value)) {
+      error(file, node, key, `${label}的 ${key}「${value}」不是有效的日期（YYYY-MM-DD）`);
     }
+  };
 
-    .stat-card.warning .stat-value { color: var(--accent-yellow); }
-    .stat-card.danger .stat-value { color: var(--accent-red); }
-    .stat-card.success .stat-value { color: var(--accent-green); }
+  const checkIdList = (file, node, key, label) => {
+    const value = node[key];
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return value;
+    error(file, node, key, `${label}的 ${key} 應為 ID 陣列，例如 [1, 2]`);
+    return [];
+  };
 
-    /* Responsive */
-    @media (max-width: 1024px) {
-      .kanban {
-        grid-template-columns: repeat(3, 1fr);
+  // tasks.md
+  const taskIds = new Map();
+  const budgetCategories = getBudgetConfig(project)?.categories || {};
+  const externalIds = new Map();
+  if (!Array.isArray(tasks)) {
+    problems.push({ file: 'tasks.md', line: null, level: 'error', message: 'tasks 應為任務陣列' });
+  } else {
+    tasks.forEach((task, index) => {
+      if (!task || typeof task !== 'object' || Array.isArray(task)) {
+        error('tasks.md', tasks, index, `第 ${index + 1} 個任務應為「鍵: 值」格式`);
+        return;
       }
-    }
+      const label = task.id !== undefined ? `任務 #${task.id} ` : `第 ${index + 1} 個任務`;
+
+      if (task.id === undefined || task.id === null) {
+        error('tasks.md', tasks, index, `${label}缺少 id`);
+      } else if (taskIds.has(task.id)) {
+        error('tasks.md', task, 'id', `任務 ID ${task.id} 重複（第 ${taskIds.get(task.id)} 行已使用）`);
+      } else {
+        taskIds.set(task.id, getYamlLine(task, 'id'));
+      }
+
+      if (task.external_id) {
+        if (externalIds.has(task.external_id)) {
+          warning('tasks.md', task, 'external_id', `${label}的 external_id「${task.external_id}」與任務 #${externalIds.get(task.external_id)} 重複，匯入時只會更新後者`);
+        } else {
+          externalIds.set(task.external_id, task.id);
+        }
+      }
+
+      if (!task.title) warning('tasks.md', task, task.title === undefined ? 'id' : 'title', `${label}沒有標題`);
+      checkEnum('tasks.md', task, 'status', TASK_STATUSES, label, false);
+      checkEnum('tasks.md', task, 'priority', PRIORITIES, label, true);
+      checkEnum('tasks.md', task, 'recur', Object.keys(RECUR_INTERVALS), label, true);
+      if (task.status === 'done' && RECUR_INTERVALS[task.recur]) {
+        warning('tasks.md', task, 'recur', `${label}已完成但 recur 仍為 ${task.recur}，執行 node scripts/visualize.js done ${task.id} 建立下一次的任務`);
+      }
+      ['start', 'due', 'created', 'completed'].forEach(key => checkDate('tasks.md', task, key, label));
+
+      if (isValidDate(task.start) && isValidDate(task.due) && task.start > task.due) {
+        error('tasks.md', task, 'start', `${label}的 start（${task.start}）晚於 due（${task.due}）`);
+      }
+      if (task.estimate !== undefined && task.estimate !== null && !(Number(task.estimate) > 0)) {
+        error('tasks.md', task, 'estimate', `${label}的 estimate 應為正數（天）`);
+      }
+      ['actual_hours', 'cost'].forEach(key => {
+        if (task[key] !== undefined && task[key] !== null && !(typeof task[key] === 'number' && task[key] >= 0)) {
+          error('tasks.md', task, key, `${label}的 ${key} 應為非負數`);
+        }
+      });
+      if (task.category && Object.keys(budgetCategories).length > 0 && !(String(task.category) in budgetCategories)) {
+        warning('tasks.md', task, 'category', `${label}的 category「${task.category}」不在 project.yaml 的預算類別中（${Object.keys(budgetCategories).join('、')}）`);
+      }
+      if (task.tags !== undefined && task.tags !== null && !Array.isArray(task.tags)) {
+        error('tasks.md', task, 'tags', `${label}的 tags 應為陣列，例如 [設計, 上線]`);
+      }
+      if (task.status === 'done' && !task.completed) {
+        warning('tasks.md', task, 'status', `${label}已完成但沒有 completed 日期`);
+      }
+      if (task.completed && task.status && task.status !== 'done') {
+        warning('tasks.md', task, 'completed', `${label}有 completed 日期但狀態為 ${task.status}`);
+      }
+    });
+
+    tasks.forEach(task => {
+      if (!task || typeof task !== 'object') return;
+      toIdList(task.blocked_by).forEach(ref => {
+        if (ref === task.id) {
+          error('tasks.md', task, 'blocked_by', `任務 #${task.id} 的 blocked_by 指向自己`);
+        } else if (!taskIds.has(ref)) {
+          error('tasks.md', task, 'blocked_by', `任務 #${task.id} 的 blocked_by 指向不存在的任務 #${ref}`);
+        }
+      });
+    });
+
+    const validTasks = tasks.filter(t => t && typeof t === 'object' && t.id !== undefined);
+    analyzeDependencies(validTasks, []).cycles
+      .filter(cycle => cycle.length > 2)
+      .forEach(cycle => {
+        const task = validTasks.find(t => t.id === cycle[0]);
+        error('tasks.md', task, 'blocked_by', `循環依賴: ${cycle.map(id => `#${id}`).join(' → ')}`);
+      });
+  }
+
+  // timeline.md
+  const milestoneIds = new Set();
+  if (!Array.isArray(milestones)) {
+    problems.push({ file: 'timeline.md', line: null, level: 'error', message: 'milestones 應為里程碑陣列' });
+  } else {
+    milestones.forEach((m, index) => {
+      if (!m || typeof m !== 'object' || Array.isArray(m)) {
+        error('timeline.md', milestones, index, `第 ${index + 1} 個里程碑應為「鍵: 值」格式`);
+        return;
+      }
+      const label = m.id !== undefined ? `里程碑 #${m.id} ` : `第 ${index + 1} 個里程碑`;
+
+      if (m.id === undefined || m.id === null) {
+        error('timeline.md', milestones, index, `${label}缺少 id`);
+      } else if (milestoneIds.has(m.id)) {
+        error('timeline.md', m, 'id', `里程碑 ID ${m.id} 重複`);
+      } else {
+        milestoneIds.add(m.id);
+      }
+
+      if (!m.title) warning('timeline.md', m, m.title === undefined ? 'id' : 'title', `${label}沒有標題`);
+      checkEnum('timeline.md', m, 'status', MILESTONE_STATUSES, label, true);
+      checkDate('timeline.md', m, 'due', label);
+      checkIdList('timeline.md', m, 'tasks', label).forEach(ref => {
+        if (!taskIds.has(ref)) error('timeline.md', m, 'tasks', `${label}的 tasks 包含不存在的任務 #${ref}`);
+      });
+
+      // 手動設定的 status 與關聯任務的完成狀態不一致
+      if (Array.isArray(tasks) && Array.isArray(m.tasks)) {
+        const progress = getMilestoneProgress(m, tasks);
+        if (progress.mismatch && progress.derivedStatus === 'achieved') {
+          warning('timeline.md', m, 'status', `${label}的 status 為 ${m.status}，但關聯任務皆已完成`);
+        } else if (progress.mismatch) {
+          warning('timeline.md', m, 'status', `${label}的 status 為 ${m.status}，但仍有 ${progress.remaining} 個關聯任務未完成`);
+        }
+      }
+    });
+  }
+
+  // project.yaml
+  const info = project.project || {};
+  checkEnum('project.yaml', info, 'type', PROJECT_TYPES, 'project ', true);
+  checkEnum('project.yaml', info, 'status', PROJECT_STATUSES, 'project ', true);
+  checkDate('project.yaml', info, 'start_date', 'project ');
+  checkDate('project.yaml', info, 'target_date', 'project ');
+  if (isValidDate(info.start_date) && isValidDate(info.target_date) && info.start_date > info.target_date) {
+    error('project.yaml', info, 'target_date', `project 的 target_date（${info.target_date}）早於 start_date（${info.start_date}）`);
+  }
+
+  const deliverables = project.scope?.deliverables;
+  if (deliverables !== undefined && deliverables !== null && deliverables !== '') {
+    if (!Array.isArray(deliverables)) {
+      error('project.yaml', project.scope, 'deliverables', 'scope.deliverables 應為清單');
+    } else {
+      deliverables.forEach((item, index) => {
+        if (!item || typeof item !== 'object') return;
+        const label = `交付項目「${item.title || item.name || index + 1}」`;
+        if (!item.title && !item.name) warning('project.yaml', deliverables, index, `第 ${index + 1} 個交付項目沒有 title`);
+        checkEnum('project.yaml', item, 'status', DELIVERABLE_STATUSES, label, true);
+        checkIdList('project.yaml', item, 'tasks', label).forEach(ref => {
+          if (!taskIds.has(ref)) warning('project.yaml', item, 'tasks', `${label}的 tasks 包含不存在的任務 #${ref}`);
+        });
+      });
+    }
+  }
+  const budget = project.scope?.budget;
+  if (budget && typeof budget === 'object') {
+    if (Array.isArray(budget)) {
+      error('project.yaml', project.scope, 'budget', 'scope.budget 應為含 total 與 categories 的對應表');
+    } else {
+      ['total', 'hourly_rate', 'hours_per_day'].forEach(key => {
+        if (budget[key] !== undefined && budget[key] !== null && !(typeof budget[key] === 'number' && budget[key] >= 0)) {
+          error('project.yaml', budget, key, `scope.budget 的 ${key} 應為非負數`);
+        }
+      });
+      if (budget.categories !== undefined && budget.categories !== null) {
+        if (typeof budget.categories !== 'object' || Array.isArray(budget.categories)) {
+          error('project.yaml', budget, 'categories', 'scope.budget.categories 應為「類別: 金額」的對應表');
+        } else {
+          Object.entries(budget.categories).forEach(([name, value]) => {
+            if (!(typeof value === 'number' && value >= 0)) {
+              error('project.yaml', budget.categories, name, `預算類別「${name}」的金額應為非負數`);
+            }
+          });
+          const sum = Object.values(budget.categories).reduce((total, value) => total + (Number(value) || 0), 0);
+          if (typeof budget.total === 'number' && sum > budget.total) {
+            warning('project.yaml', budget, 'categories', `預算類別合計 ${sum} 超過 total ${budget.total}`);
+          }
+        }
+      }
+    }
+  }
+
+  const reviewers = project.stakeholders?.reviewers;
+  if (reviewers !== undefined && reviewers !== null && reviewers !== '' && !Array.isArray(reviewers)) {
+    error('project.yaml', project.stakeholders, 'reviewers', 'stakeholders.reviewers 應為清單，例如 [小美, 阿明]');
+  }
+
+  const capacity = project.stakeholders?.capacity;
+  if (capacity !== undefined && capacity !== null) {
+    if (typeof capacity !== 'object' || Array.isArray(capacity)) {
+      error('project.yaml', project.stakeholders, 'capacity', 'stakeholders.capacity 應為「成員: 每週人天」的對應表');
+    } else {
+      Object.entries(capacity).forEach(([name, value]) => {
+        if (typeof value !== 'number' || !(value >= 0)) {
+          error('project.yaml', capacity, name, `stakeholders.capacity 中 ${name} 的容量應為非負數（每週人天）`);
+        }
+      });
+    }
+  }
+
+  if (project.health !== undefined && project.health !== null) {
+    if (typeof project.health !== 'object' || Array.isArray(project.health)) {
+      error('project.yaml', project, 'health', 'health 應為「規則: 門檻」的對應表');
+    } else {
+      Object.entries(project.health).forEach(([key, value]) => {
+        const rule = HEALTH_RULES.find(r => r.key === key);
+        if (!rule) {
+          warning('project.yaml', project.health, key, `health 的「${key}」不是已知的規則，可用 ${HEALTH_RULES.map(r => r.key).join(' | ')}`);
+        } else if (typeof rule.default === 'number' && value !== false && !(Number.isInteger(value) && value >= 0)) {
+          error('project.yaml', project.health, key, `health 的 ${key} 應為非負整數，或設為 false 停用`);
+        } else if (typeof rule.default === 'boolean' && typeof value !== 'boolean') {
+          error('project.yaml', project.health, key, `health 的 ${key} 應為 true 或 false`);
+        }
+      });
+    }
+  }
+
+  // decisions.md
+  decisions.forEach((d, index) => {
+    if (!d || typeof d !== 'object') return;
+    const label = d.id !== undefined ? `決策 #${d.id} ` : `第 ${index + 1} 個決策`;
+    checkDate('decisions.md', d, 'date', label);
+    checkIdList('decisions.md', d, 'tasks', label).forEach(ref => {
+      if (!taskIds.has(ref)) warning('decisions.md', d, 'tasks', `${label}的 tasks 包含不存在的任務 #${ref}`);
+    });
+    checkIdList('decisions.md', d, 'milestones', label).forEach(ref => {
+      if (!milestoneIds.has(ref)) warning('decisions.md', d, 'milestones', `${label}的 milestones 包含不存在的里程碑 #${ref}`);
+    });
+  });
+
+  // meetings/*.md
+  meetings.forEach(m => {
+    const file = `meetings/${m.file}`;
+    checkDate(file, m, 'date', '會議');
+    m.tasks.forEach(ref => {
+      if (!taskIds.has(ref)) warning(file, m, 'tasks', `會議的 tasks 包含不存在的任務 #${ref}`);
+    });
+  });
+
+  return sortProblems(problems);
+}
+
+// 依檔案、行號排序問題清單
+function sortProblems(problems) {
+  const fileOrder = problem => ['project.yaml', 'tasks.md', 'timeline.md', 'decisions.md'].indexOf(problem.file);
+  return problems.sort((a, b) =>
+    (fileOrder(a) - fileOrder(b)) || a.file.localeCompare(b.file) || ((a.line || 0) - (b.line || 0))
+  );
+}
+
+// 是否為有效的 YYYY-MM-DD 日期
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(value);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+// 格式化問題為 file:line 形式
+function formatProblem(problem) {
+  const location = problem.line ? `${problem.file}:${problem.line}` : problem.file;
+  const level = problem.level === 'error' ? '錯誤' : '警告';
+  return `${location}: ${level}: ${problem.message}`;
+}
+
+// check 指令：驗證專案檔案，有錯誤時回傳非零結束碼
+function runCheck(paths) {
+  const problems = validateProject(loadData({ ...paths, history: false }));
+  planSync(paths).forEach(plan => problems.push(...plan.drift));
+  sortProblems(problems);
+  const errors = problems.filter(p => p.level === 'error');
+  const warnings = problems.filter(p => p.level === 'warning');
+
+  problems.forEach(p => (p.level === 'error' ? console.error : console.warn)(formatProblem(p)));
+
+  if (problems.length === 0) {
+    console.log('✅ 檢查通過，沒有發現問題');
+  } else {
+    console.log(`\n發現 ${errors.length} 個錯誤、${warnings.length} 個警告`);
+  }
+
+  return errors.length > 0 ? 1 : 0;
+}
+
+// 健康度規則；project.yaml 的 health 區段可調整門檻，設為 false 則停用該規則
+const HEALTH_RULES = [
+  {
+    key: 'stale_days',
+    label: '進行中但久未更新',
+    level: 'warning',
+    default: 7,
+    check: ({ tasks, taskHistory, today }, days) => tasks
+      .filter(t => t.status === 'in-progress')
+      .map(t => ({ task: t, updated: getTaskLastUpdate(t, taskHistory, today) }))
+      .filter(({ updated }) => updated && updated < addDays(today, -days))
+      .map(({ task, updated }) => ({
+        node: task,
+        key: 'status',
+        task: task.id,
+        message: `任務 #${task.id} ${task.title || ''} 進行中，但自 ${updated} 起已 ${Math.round((new Date(today) - new Date(updated)) / DAY_MS)} 天沒有更新`
+      }))
+  },
+  {
+    key: 'blocked_reason',
+    label: '阻塞原因不明',
+    level: 'warning',
+    default: true,
+    check: ({ tasks }) => tasks
+      .filter(t => t.status === 'blocked' && toIdList(t.blocked_by).length === 0 && !String(t.notes || '').trim())
+      .map(t => ({
+        node: t,
+        key: 'status',
+        task: t.id,
+        message: `任務 #${t.id} ${t.title || ''} 阻塞中，但沒有填寫 blocked_by 或 notes 說明原因`
+      }))
+  },
+  {
+    key: 'unassigned_p0',
+    label: 'P0 未指派',
+    level: 'error',
+    default: true,
+    check: ({ tasks }) => tasks
+      .filter(t => t.priority === 'P0' && t.status !== 'done' && !t.assignee)
+      .map(t => ({
+        node: t,
+        key: 'priority',
+        task: t.id,
+        message: `P0 任務 #${t.id} ${t.title || ''} 沒有負責人`
+      }))
+  },
+  {
+    key: 'due_after_target',
+    label: '晚於專案完成日',
+    level: 'error',
+    default: true,
+    check: ({ tasks, project }) => {
+      const target = project.project?.target_date;
+      if (!isValidDate(target)) return [];
+      return tasks
+        .filter(t => t.status !== 'done' && isValidDate(t.due) && t.due > target)
+        .map(t => ({
+          node: t,
+          key: 'due',
+          task: t.id,
+          message: `任務 #${t.id} ${t.title || ''} 的截止日 ${t.due} 晚於專案預計完成日 ${target}`
+        }));
+    }
+  },
+  {
+    key: 'empty_milestones',
+    label: '里程碑沒有任務',
+    level: 'warning',
+    default: true,
+    check: ({ milestones }) => milestones
+      .filter(m => m.status !== 'achieved' && toIdList(m.tasks).length === 0)
+      .map(m => ({
+        file: 'timeline.md',
+        node: m,
+        key: 'id',
+        message: `里程碑 #${m.id} ${m.title || ''} 沒有關聯任務，無法追蹤進度`
+      }))
+  },
+  {
+    key: 'wip_limit',
+    label: '進行中任務過多',
+    level: 'warning',
+    default: 3,
+    check: ({ tasks }, limit) => {
+      const byAssignee = new Map();
+      tasks.filter(t => t.status === 'in-progress' && t.assignee).forEach(t => {
+        const name = String(t.assignee);
+        byAssignee.set(name, [...(byAssignee.get(name) || []), t]);
+      });
+      return [...byAssignee]
+        .filter(([, list]) => list.length > limit)
+        .map(([name, list]) => ({
+          node: list[limit],
+          key: 'status',
+          assignee: name,
+          message: `${name} 同時有 ${list.length} 個進行中的任務（上限 ${limit}）：${list.map(t => `#${t.id}`).join(', ')}`
+        }));
+    }
+  },
+  {
+    key: 'budget_forecast',
+    label: '預算超支',
+    level: 'warning',
+    default: true,
+    check: ({ tasks, milestones, project, today }) => {
+      const budget = analyzeBudget(tasks, milestones, project, today);
+      if (!budget) return [];
+      return budget.warnings.map(message => ({ file: 'project.yaml', node: project.scope, key: 'budget', message }));
+    }
+  }
+];
+
+// 任務最後一次變動的日期：依 git 歷史中任務內容的變化，工作目錄中尚未提交的變動視為今天
+// 沒有歷史時退回 start 或 created
+function getTaskLastUpdate(task, history, today) {
+  let updated = null;
+  let previous;
+  history.forEach(({ date, revisions = {} }) => {
+    const revision = revisions[task.id];
+    if (revision !== undefined && revision !== previous) updated = date;
+    previous = revision;
+  });
+
+  if (updated === null) {
+    return [task.start, task.created].find(isValidDate) || null;
+  }
+  return previous === JSON.stringify(task) ? updated : today;
+}
+
+// 取得規則門檻：health 區段未設定時使用預設值，false 或 0 表示停用
+function getHealthThreshold(project, rule) {
+  const health = project.health && typeof project.health === 'object' ? project.health : {};
+  const value = health[rule.key] === undefined || health[rule.key] === null ? rule.default : health[rule.key];
+  if (value === false || value === 0) return null;
+  return typeof rule.default === 'number' ? Number(value) : true;
+}
+
+// 執行健康度規則，回傳 [{ rule, file, line, level, message, task?, assignee? }]，依規則順序排列
+function evaluateHealth(data, today = getToday()) {
+  const { tasks, milestones, project, taskHistory = [] } = data;
+  const context = {
+    tasks: toIdList(tasks).filter(t => t && typeof t === 'object'),
+    milestones: toIdList(milestones).filter(m => m && typeof m === 'object'),
+    project: project || {},
+    taskHistory,
+    today
+  };
+
+  return HEALTH_RULES.flatMap(rule => {
+    const threshold = getHealthThreshold(context.project, rule);
+    if (threshold === null || Number.isNaN(threshold)) return [];
+    return rule.check(context, threshold).map(({ file = 'tasks.md', node, key, ...finding }) => ({
+      rule: rule.key,
+      file,
+      line: getYamlLine(node, key),
+      level: rule.level,
+      ...finding
+    }));
+  });
+}
+
+// health 指令：列出健康度問題；結束碼 0 為健康、1 為有錯誤、2 為只有警告
+function runHealth(paths) {
+  const findings = evaluateHealth(loadData(paths));
+  const errors = findings.filter(f => f.level === 'error');
+
+  HEALTH_RULES.forEach(rule => {
+    const matched = findings.filter(f => f.rule === rule.key);
+    if (matched.length === 0) return;
+    console.log(`\n${rule.label}（${matched.length}）`);
+    matched.forEach(f => console.log(`  ${formatProblem(f)}`));
+  });
+
+  if (findings.length === 0) {
+    console.log('✅ 專案健康，沒有發現問題');
+    return 0;
+  }
+  console.log(`\n發現 ${errors.length} 個錯誤、${findings.length - errors.length} 個警告`);
+  return errors.length > 0 ? 1 : 2;
+}
+
+// 將 Markdown 檔案拆成 frontmatter 原文與內文
+function splitFrontmatter(content) {
+  const match = content.match(/^\uFEFF?---[ \t]*\r?\n(?:[\s\S]*?\r?\n)?---[ \t]*(?:\r?\n|$)/);
+  const frontmatter = match ? match[0] : '';
+  return {
+    frontmatter,
+    body: content.slice(frontmatter.length),
+    // 內文第一行在檔案中的行號
+    bodyLine: frontmatter.split(/\r?\n/).length - (frontmatter.endsWith('\n') ? 0 : 1)
+  };
+}
+
+// 找出 tasks.md 內文中各狀態區段的範圍與任務項目
+function parseTaskSections(lines) {
+  const sections = new Map();
+  let current = null;
+
+  lines.forEach((line, index) => {
+    if (/^#{1,2}\s/.test(line)) {
+      const section = TASK_SECTIONS.find(s => s.pattern.test(line));
+      current = section ? { status: section.status, start: index, end: lines.length, items: [] } : null;
+      // 上一個區段在新標題前結束
+      sections.forEach(s => {
+        if (s.end === lines.length && s.start < index) s.end = index;
+      });
+      if (current) sections.set(current.status, current);
+      return;
+    }
+    if (!current) return;
+    const item = line.match(/^[-*]\s+(?:\*\*)?#(\d+)(?:\*\*)?\s*(.*)$/);
+    if (item) current.items.push({ id: Number(item[1]), line, index });
+  });
+
+  return sections;
+}
+
+function renderTaskLine(task) {
+  const parts = [`- **#${task.id}** ${task.title || '未命名任務'}`];
+  if (task.priority) parts.push(task.priority);
+  if (task.assignee) parts.push(`@${task.assignee}`);
+  if (task.due) parts.push(`截止 ${task.due}`);
+  const blockers = toIdList(task.blocked_by);
+  if (blockers.length > 0) parts.push(`等待 ${blockers.map(id => `#${id}`).join(', ')}`);
+  if (task.status === 'done' && task.completed) parts.push(`完成 ${task.completed}`);
+  return parts.join(' · ');
+}
+
+function renderTaskSection(tasks, status) {
+  const items = tasks.filter(t => t.status === status).map(renderTaskLine);
+  return items.length > 0 ? items : ['_尚無任務_'];
+}
+
+// 依 frontmatter 重建 tasks.md 各狀態區段的內容，其他內文保持不變
+function rebuildTasksBody(body, tasks) {
+  const eol = body.includes('\r\n') ? '\r\n' : '\n';
+  let lines = body.split(/\r?\n/);
+
+  TASK_SECTIONS.forEach(section => {
+    const sections = parseTaskSections(lines);
+    const content = ['', ...renderTaskSection(tasks, section.status), ''];
+    const existing = sections.get(section.status);
+
+    if (existing) {
+      lines = [...lines.slice(0, existing.start + 1), ...content, ...lines.slice(existing.end)];
+    } else {
+      // 缺少的區段加在最後
+      while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+      lines = [...lines, '', section.heading, ...content];
+    }
+  });
+
+  // 最後一個區段結尾只保留一個空行
+  while (lines.length > 1 && lines[lines.length - 1] === '' && lines[lines.length - 2] === '') lines.pop();
+  return lines.join(eol);
+}
+
+// 比較 tasks.md 的 frontmatter 與內文
+function detectTasksDrift(content, tasks) {
+  const { body, bodyLine } = splitFrontmatter(content);
+  const lines = body.split(/\r?\n/);
+  const sections = parseTaskSections(lines);
+  const problems = [];
+  const seen = new Map();
+
+  const report = (index, message) => {
+    problems.push({ file: 'tasks.md', line: index === null ? null : bodyLine + index, level: 'warning', message });
+  };
+
+  TASK_SECTIONS.forEach(section => {
+    if (!sections.has(section.status)) report(null, `內文缺少「${section.heading.replace(/^##\s*/, '')}」區段`);
+  });
+
+  sections.forEach(section => {
+    section.items.forEach(item => {
+      const task = tasks.find(t => t.id === item.id);
+      if (seen.has(item.id)) {
+        report(item.index, `任務 #${item.id} 在內文中重複出現`);
+        return;
+      }
+      seen.set(item.id, section.status);
+
+      if (!task) {
+        report(item.index, `內文的任務 #${item.id} 不在 frontmatter 中`);
+      } else if (task.status !== section.status) {
+        report(item.index, `任務 #${item.id} 在內文列於 ${section.status}，frontmatter 狀態為 ${task.status}`);
+      } else if (item.line.trim() !== renderTaskLine(task)) {
+        report(item.index, `任務 #${item.id} 的內文與 frontmatter 不一致`);
+      }
+    });
+  });
+
+  tasks.forEach((task, index) => {
+    if (!seen.has(task.id) && TASK_STATUSES.includes(task.status)) {
+      const section = sections.get(task.status);
+      const label = task.id !== undefined && task.id !== null ? `任務 #${task.id}` : `第 ${index + 1} 個任務`;
+      report(section ? section.start : null, `${label}「${task.title || ''}」未列在內文`);
+    }
+  });
+
+  return problems;
+}
+
+// 找出 timeline.md 內文中「專案時間軸」的表格範圍
+function findMilestoneTable(lines) {
+  const heading = lines.findIndex(line => /^##\s*專案時間軸/.test(line));
+  if (heading === -1) return null;
+
+  let start = heading + 1;
+  while (start < lines.length && !lines[start].startsWith('|') && !/^#{1,2}\s/.test(lines[start])) start++;
+  if (start >= lines.length || !lines[start].startsWith('|')) return { heading, start: heading + 1, end: heading + 1, rows: [] };
+
+  let end = start;
+  while (end < lines.length && lines[end].startsWith('|')) end++;
+
+  // 前兩行為表頭與分隔線
+  const rows = lines.slice(start + 2, end).map((line, i) => ({
+    index: start + 2 + i,
+    cells: line.replace(/^\||\|$/g, '').split('|').map(c => c.trim())
+  }));
+  return { heading, start, end, rows };
+}
+
+// 狀態與儀表板其他視圖一致，依關聯任務的完成情況推算
+function renderMilestoneRow(m, tasks) {
+  const progress = getMilestoneProgress(m, tasks);
+  const status = MILESTONE_STATUS_LABELS[progress.status] || progress.status || '-';
+  const related = toIdList(m.tasks).map(id => `#${id}`).join(', ') || '-';
+  return `| ${m.title || '未命名里程碑'} | ${m.due || '-'} | ${status} | ${related} |`;
+}
+
+function renderMilestoneTable(milestones, tasks) {
+  const sorted = [...milestones].sort((a, b) => {
+    if (!a.due) return 1;
+    if (!b.due) return -1;
+    return String(a.due).localeCompare(String(b.due));
+  });
+  return [
+    '| 里程碑 | 預計日期 | 狀態 | 相關任務 |',
+    '|--------|----------|------|----------|',
+    ...(sorted.length > 0 ? sorted.map(m => renderMilestoneRow(m, tasks)) : ['| _尚未設定_ | - | - | - |'])
+  ];
+}
+
+// 依 frontmatter 重建 timeline.md 的里程碑表格，其他內文保持不變
+function rebuildTimelineBody(body, milestones, tasks) {
+  const eol = body.includes('\r\n') ? '\r\n' : '\n';
+  const lines = body.split(/\r?\n/);
+  const table = findMilestoneTable(lines);
+  const rendered = renderMilestoneTable(milestones, tasks);
+
+  if (!table) {
+    while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+    return [...lines, '', '## 專案時間軸', '', ...rendered, ''].join(eol);
+  }
+  if (table.start === table.end) {
+    return [...lines.slice(0, table.start), '', ...rendered, ...lines.slice(table.end)].join(eol);
+  }
+  return [...lines.slice(0, table.start), ...rendered, ...lines.slice(table.end)].join(eol);
+}
+
+// 比較 timeline.md 的 frontmatter 與里程碑表格
+function detectTimelineDrift(content, milestones, tasks) {
+  const { body, bodyLine } = splitFrontmatter(content);
+  const table = findMilestoneTable(body.split(/\r?\n/));
+  const problems = [];
+
+  const report = (index, message) => {
+    problems.push({ file: 'timeline.md', line: index === null ? null : bodyLine + index, level: 'warning', message });
+  };
+
+  if (!table) {
+    report(null, '內文缺少「專案時間軸」表格');
+    return problems;
+  }
+
+  const rows = table.rows.filter(row => row.cells[0] !== '_尚未設定_');
+  milestones.forEach(m => {
+    const title = m.title || '未命名里程碑';
+    const row = rows.find(r => r.cells[0] === title);
+    if (!row) {
+      report(table.start, `里程碑「${title}」未列在時間軸表格`);
+    } else if (row.cells.join(' | ') !== renderMilestoneRow(m, tasks).replace(/^\| | \|$/g, '')) {
+      report(row.index, `里程碑「${title}」的表格內容與 frontmatter 不一致`);
+    }
+  });
+  rows.forEach(row => {
+    if (!milestones.some(m => (m.title || '未命名里程碑') === row.cells[0])) {
+      report(row.index, `表格中的里程碑「${row.cells[0]}」不在 frontmatter 中`);
+    }
+  });
+
+  return problems;
+}
+
+// 逐行比較兩段文字，輸出 unified diff 格式
+function diffLines(file, before, after) {
+  const a = before.split(/\r?\n/);
+  const b = after.split(/\r?\n/);
+
+  // LCS 動態規劃
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', text: a[i], aLine: i + 1, bLine: j + 1 });
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: '-', text: a[i], aLine: i + 1, bLine: j + 1 });
+      i++;
+    } else {
+      ops.push({ type: '+', text: b[j], aLine: i + 1, bLine: j + 1 });
+      j++;
+    }
+  }
+
+  // 只輸出有變更的區塊，前後保留 2 行
+  const CONTEXT = 2;
+  const changed = ops.map((op, k) => (op.type !== ' ' ? k : -1)).filter(k => k !== -1);
+  if (changed.length === 0) return '';
+
+  const hunks = [];
+  changed.forEach(k => {
+    const last = hunks[hunks.length - 1];
+    if (last && k - CONTEXT <= last.end + CONTEXT) {
+      last.end = k;
+    } else {
+      hunks.push({ start: k, end: k });
+    }
+  });
+
+  const output = [`--- ${file}`, `+++ ${file}`];
+  hunks.forEach(hunk => {
+    const from = Math.max(0, hunk.start - CONTEXT);
+    const to = Math.min(ops.length, hunk.end + CONTEXT + 1);
+    const slice = ops.slice(from, to);
+    const aCount = slice.filter(op => op.type !== '+').length;
+    const bCount = slice.filter(op => op.type !== '-').length;
+    output.push(`@@ -${slice[0].aLine},${aCount} +${slice[0].bLine},${bCount} @@`);
+    slice.forEach(op => output.push(`${op.type}${op.text}`));
+  });
+
+  return output.join('\n');
+}
+
+// 讀取 tasks.md 與 timeline.md，計算依 frontmatter 重建後的內容
+function planSync(paths) {
+  const tasksContent = fs.readFileSync(paths.tasks, 'utf-8');
+  const timelineContent = fs.readFileSync(paths.timeline, 'utf-8');
+  const tasks = parseYamlFrontmatter(tasksContent, 'tasks.md').tasks || [];
+  const milestones = parseYamlFrontmatter(timelineContent, 'timeline.md').milestones || [];
+
+  const tasksParts = splitFrontmatter(tasksContent);
+  const timelineParts = splitFrontmatter(timelineContent);
+
+  return [
+    {
+      file: paths.tasks,
+      name: 'tasks.md',
+      before: tasksContent,
+      after: tasksParts.frontmatter + rebuildTasksBody(tasksParts.body, tasks),
+      drift: detectTasksDrift(tasksContent, tasks)
+    },
+    {
+      file: paths.timeline,
+      name: 'timeline.md',
+      before: timelineContent,
+      after: timelineParts.frontmatter + rebuildTimelineBody(timelineParts.body, milestones, tasks),
+      drift: detectTimelineDrift(timelineContent, milestones, tasks)
+    }
+  ];
+}
+
+// sync 指令：以 frontmatter 為準重建內文；--dry-run 只列出差異
+function runSync(args, paths) {
+  const dryRun = args.includes('--dry-run');
+  const plans = planSync(paths);
+  const changed = plans.filter(p => p.before !== p.after);
+
+  plans.forEach(p => p.drift.forEach(problem => console.log(formatProblem(problem))));
+
+  if (changed.length === 0) {
+    console.log('✅ 內文與 frontmatter 一致');
+    return 0;
+  }
+
+  if (dryRun) {
+    changed.forEach(p => console.log(`\n${diffLines(p.name, p.before, p.after)}`));
+    console.log(`\n${changed.length} 個檔案的內文與 frontmatter 不一致，執行 node scripts/visualize.js sync 重建`);
+    return 1;
+  }
+
+  changed.forEach(p => {
+    fs.writeFileSync(p.file, p.after, 'utf-8');
+    console.log(`✅ 已依 frontmatter 重建 ${p.name} 內文`);
+  });
+  return 0;
+}
+
+// 解析指令列參數：--key value、--key=value 與布林旗標
+function parseArgs(args, booleanFlags = []) {
+  const result = { _: [], flags: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      result._.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    let value;
+    if (inline !== undefined) {
+      value = inline;
+    } else if (booleanFlags.includes(name) || i + 1 >= args.length || args[i + 1].startsWith('--')) {
+      value = true;
+    } else {
+      value = args[++i];
+    }
+    result.flags[name] = name in result.flags ? [].concat(result.flags[name], value) : value;
+  }
+
+  return result;
+}
+
+// 旗標值可重複或以逗號分隔，例如 --tag a --tag b 或 --tag a,b
+function flagList(value) {
+  if (value === undefined || value === true) return [];
+  return [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+function getToday() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// 將值轉為單行 YAML 表示
+function formatYamlValue(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return `[${value.map(v => formatYamlValue(v)).join(', ')}]`;
+
+  const str = String(value);
+  // 不會被誤解為其他型別、也不含特殊字元的字串才不加引號
+  const isPlainSafe = str !== '' &&
+    resolvePlain(str) === str &&
+    str === str.trim() &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(str) &&
+    !/[,[\]{}]|: |:$| #/.test(str) &&
+    !/[\r\n\t]/.test(str);
+  return isPlainSafe ? str : JSON.stringify(str);
+}
+
+function parseTasksFile(content) {
+  const data = parseYamlFrontmatter(content, 'tasks.md');
+  const tasks = data.tasks || [];
+  if (!Array.isArray(tasks)) throw new Error('tasks.md 的 tasks 應為陣列');
+  return { data, tasks };
+}
+
+// 找出任務項目在 frontmatter 中最後一個有內容的行（0 起算）
+function findTaskBlockEnd(lines, itemIndex, closingIndex) {
+  const dashIndent = lines[itemIndex].search(/\S/);
+  let last = itemIndex;
+
+  for (let i = itemIndex + 1; i < closingIndex; i++) {
+    const trimmed = lines[i].trim();
+    if (trimmed === '' || trimmed.startsWith('#')) continue;
+    if (lines[i].search(/\S/) <= dashIndent) break;
+    last = i;
+  }
+
+  return last;
+}
+
+// 修改任務的單一欄位；保留同一行的註解與檔案其他內容
+function setTaskField(content, id, key, value) {
+  const { tasks } = parseTasksFile(content);
+  const index = tasks.findIndex(t => t && t.id === id);
+  if (index === -1) throw new Error(`找不到任務 #${id}`);
+
+  const task = tasks[index];
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const closingIndex = splitFrontmatter(content).bodyLine - 2;
+  const formatted = formatYamlValue(value);
+  const keyLine = getYamlLine(task, key);
+
+  if (keyLine !== null) {
+    const i = keyLine - 1;
+    const escapedKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = lines[i].match(new RegExp(`^(\\s*(?:-\\s+)?)${escapedKey}(\\s*:)(.*)$`));
+    if (!match) throw new Error(`無法修改任務 #${id} 的 ${key}`);
+
+    const rest = match[3].trimStart();
+    const oldValue = stripComment(rest).trimEnd();
+    const comment = rest.slice(oldValue.length);
+    lines[i] = `${match[1]}${key}: ${formatted}${comment}`;
+
+    // 原本的值跨多行（區塊純量或巢狀清單）時一併移除
+    if (oldValue === '' || /^[|>]/.test(oldValue)) {
+      const keyIndent = match[1].length;
+      let last = i;
+      for (let j = i + 1; j < closingIndex; j++) {
+        const trimmed = lines[j].trim();
+        if (trimmed === '') continue;
+        if (lines[j].search(/\S/) <= keyIndent && !(lines[j].search(/\S/) === keyIndent && trimmed.startsWith('- '))) break;
+        last = j;
+      }
+      lines.splice(i + 1, last - i);
+    }
+  } else {
+    const itemIndex = getYamlLine(tasks, index) - 1;
+    const fieldIndent = lines[itemIndex].match(/^\s*-\s+/)[0].length;
+    const end = findTaskBlockEnd(lines, itemIndex, closingIndex);
+    lines.splice(end + 1, 0, `${' '.repeat(fieldIndent)}${key}: ${formatted}`);
+  }
+
+  return lines.join(eol);
+}
+
+// 在 tasks 清單最後加入新任務
+function appendTask(content, task) {
+  const { data, tasks } = parseTasksFile(content);
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const closingIndex = splitFrontmatter(content).bodyLine - 2;
+  if (closingIndex < 0) throw new Error('tasks.md 缺少 frontmatter');
+
+  let insertAt;
+  let dashIndent = 2;
+
+  if (tasks.length > 0) {
+    const itemIndex = getYamlLine(tasks, tasks.length - 1) - 1;
+    dashIndent = lines[itemIndex].search(/\S/);
+    insertAt = findTaskBlockEnd(lines, itemIndex, closingIndex) + 1;
+  } else if (getYamlLine(data, 'tasks') !== null) {
+    // tasks: [] 改為區塊清單
+    const i = getYamlLine(data, 'tasks') - 1;
+    lines[i] = lines[i].replace(/^(\s*tasks\s*:)\s*(\[\s*\])?/, '$1');
+    insertAt = i + 1;
+  } else {
+    lines.splice(closingIndex, 0, 'tasks:');
+    insertAt = closingIndex + 1;
+  }
+
+  const pad = ' '.repeat(dashIndent);
+  const entries = Object.entries(task);
+  const itemLines = entries.map(([key, value], i) =>
+    `${pad}${i === 0 ? '- ' : '  '}${key}: ${formatYamlValue(value)}`
+  );
+  lines.splice(insertAt, 0, ...itemLines);
+
+  return lines.join(eol);
+}
+
+// 寫回 tasks.md；內文維持原樣，sync 為 true 時才依 frontmatter 重建狀態區段
+function writeTasksFile(file, content, sync = false) {
+  if (!sync) {
+    fs.writeFileSync(file, content, 'utf-8');
+    return;
+  }
+  const { tasks } = parseTasksFile(content);
+  const parts = splitFrontmatter(content);
+  fs.writeFileSync(file, parts.frontmatter + rebuildTasksBody(parts.body, tasks), 'utf-8');
+}
+
+function parseTaskId(value) {
+  const id = Number(String(value || '').replace(/^#/, ''));
+  if (!Number.isInteger(id)) throw new Error(`無效的任務 ID「${value || ''}」`);
+  return id;
+}
+
+// 變更任務狀態，同時維護 completed 日期
+function moveTask(content, id, status) {
+  if (!TASK_STATUSES.includes(status)) {
+    throw new Error(`無效的狀態「${status}」，應為 ${TASK_STATUSES.join(' | ')}`);
+  }
+  const task = parseTasksFile(content).tasks.find(t => t && t.id === id);
+  if (!task) throw new Error(`找不到任務 #${id}`);
+
+  let result = setTaskField(content, id, 'status', status);
+  if (status === 'done' && !task.completed) {
+    result = setTaskField(result, id, 'completed', getToday());
+  } else if (status !== 'done' && task.completed) {
+    result = setTaskField(result, id, 'completed', null);
+  }
+  if (status === 'done' && RECUR_INTERVALS[task.recur]) {
+    result = appendRecurrence(result, task);
+  }
+  return result;
+}
+
+// 往後第 count 個週期的日期；每月的週期遇到較短的月份時取該月最後一天
+function nextOccurrence(date, recur, count = 1) {
+  if (RECUR_INTERVALS[recur] !== 'month') return addDays(date, RECUR_INTERVALS[recur] * count);
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month + count, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + count, Math.min(day, lastDay))).toISOString().split('T')[0];
+}
+
+// 週期任務完成時建立下一次的任務：截止日往後推到今天之後，recur 移到新任務上
+function appendRecurrence(content, task, today = getToday()) {
+  const { tasks } = parseTasksFile(content);
+  const base = isValidDate(task.due) ? task.due : today;
+  // 至少往後一個週期；提早完成時不會建立同一天的任務
+  let count = 1;
+  let due = nextOccurrence(base, task.recur, count);
+  while (due <= today) due = nextOccurrence(base, task.recur, ++count);
+  const lead = isValidDate(task.start) && isValidDate(task.due)
+    ? Math.round((new Date(task.due) - new Date(task.start)) / DAY_MS)
+    : null;
+
+  const next = {
+    id: tasks.reduce((max, t) => Math.max(max, Number(t && t.id) || 0), 0) + 1,
+    title: task.title,
+    status: 'backlog',
+    priority: task.priority || 'P2',
+    ...(lead !== null ? { start: addDays(due, -lead) } : {}),
+    due,
+    ...(task.estimate ? { estimate: task.estimate } : {}),
+    assignee: task.assignee || null,
+    blocked_by: null,
+    tags: toIdList(task.tags),
+    created: today,
+    completed: null,
+    notes: task.notes || '',
+    recur: task.recur
+  };
+  return setTaskField(appendTask(content, next), task.id, 'recur', null);
+}
+
+function formatTaskRow(task) {
+  return [
+    `#${task.id}`.padEnd(5),
+    `[${task.status}]`.padEnd(14),
+    (task.priority || '--').padEnd(3),
+    task.title || '未命名任務',
+    task.assignee ? `@${task.assignee}` : '',
+    task.due ? `截止 ${task.due}` : '',
+    toIdList(task.tags).length > 0 ? toIdList(task.tags).map(t => `#${t}`).join(' ') : ''
+  ].filter(Boolean).join('  ');
+}
+
+// 任務管理指令：add / move / assign / done / list
+function runTaskCommand(command, args, paths) {
+  const { _: positional, flags } = parseArgs(args, ['sync']);
+  const content = fs.readFileSync(paths.tasks, 'utf-8');
+  const { tasks } = parseTasksFile(content);
+
+  if (command === 'list') {
+    const statuses = flagList(flags.status);
+    const assignees = flagList(flags.assignee);
+    const tags = flagList(flags.tag);
+    const priorities = flagList(flags.priority).map(p => p.toUpperCase());
+
+    const matched = tasks.filter(t =>
+      (statuses.length === 0 || statuses.includes(t.status)) &&
+      (assignees.length === 0 || assignees.includes(t.assignee)) &&
+      (priorities.length === 0 || priorities.includes(t.priority)) &&
+      (tags.length === 0 || tags.every(tag => toIdList(t.tags).includes(tag)))
+    );
+    matched.forEach(t => console.log(formatTaskRow(t)));
+    console.log(`\n共 ${matched.length} 個任務`);
+    return 0;
+  }
+
+  if (command === 'add') {
+    const title = positional.join(' ').trim();
+    if (!title) throw new Error('請提供任務標題，例如: add "設計稿" --priority P1');
+
+    const status = flags.status || 'backlog';
+    const priority = flags.priority ? String(flags.priority).toUpperCase() : 'P2';
+    if (!TASK_STATUSES.includes(status)) {
+      throw new Error(`無效的狀態「${status}」，應為 ${TASK_STATUSES.join(' | ')}`);
+    }
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`無效的優先級「${priority}」，應為 ${PRIORITIES.join(' | ')}`);
+    }
+    ['due', 'start'].forEach(key => {
+      if (flags[key] && !isValidDate(flags[key])) throw new Error(`--${key} 應為 YYYY-MM-DD 格式`);
+    });
+
+    const today = getToday();
+    const blockedBy = flagList(flags['blocked-by']).map(parseTaskId);
+    const task = {
+      id: tasks.reduce((max, t) => Math.max(max, Number(t && t.id) || 0), 0) + 1,
+      title,
+      status,
+      priority,
+      ...(flags.start ? { start: flags.start } : {}),
+      due: flags.due || null,
+      ...(flags.estimate ? { estimate: Number(flags.estimate) } : {}),
+      assignee: flags.assignee && flags.assignee !== true ? flags.assignee : null,
+      blocked_by: blockedBy.length === 0 ? null : (blockedBy.length === 1 ? blockedBy[0] : blockedBy),
+      tags: flagList(flags.tag),
+      created: today,
+      completed: status === 'done' ? today : null,
+      notes: flags.notes && flags.notes !== true ? flags.notes : ''
+    };
+
+    writeTasksFile(paths.tasks, appendTask(content, task), flags.sync);
+    console.log(`✅ 已新增任務 #${task.id}：${task.title}`);
+    return 0;
+  }
+
+  const id = parseTaskId(positional[0]);
+  const task = tasks.find(t => t && t.id === id);
+  if (!task) throw new Error(`找不到任務 #${id}`);
+
+  if (command === 'move' || command === 'done') {
+    const status = command === 'done' ? 'done' : positional[1];
+    if (!status) throw new Error('請提供狀態，例如: move 3 in-progress');
+    const result = moveTask(content, id, status);
+    writeTasksFile(paths.tasks, result, flags.sync);
+    console.log(`✅ 任務 #${id} 狀態: ${task.status} → ${status}`);
+    const created = parseTasksFile(result).tasks.filter(t => t && !tasks.some(old => old && old.id === t.id));
+    created.forEach(t => console.log(`🔁 已建立下一次的週期任務 #${t.id}：${t.title}（截止 ${t.due}）`));
+    return 0;
+  }
+
+  if (command === 'assign') {
+    const assignee = positional[1] || null;
+    writeTasksFile(paths.tasks, setTaskField(content, id, 'assignee', assignee), flags.sync);
+    console.log(assignee ? `✅ 任務 #${id} 指派給 @${assignee}` : `✅ 已取消任務 #${id} 的指派`);
+    return 0;
+  }
+
+  throw new Error(`未知的指令「${command}」`);
+}
+
+// 各專案類型的預設任務範本；due 為相對日期：T 為 target_date、S 為 start_date，例如 T-14d、S+1w
+// after 為同一範本中前置任務的序號（從 1 起算），套用時轉為 blocked_by
+const TASK_TEMPLATES = {
+  event: [
+    { title: '確認活動目標、規模與預算', due: 'T-60d', priority: 'P0' },
+    { title: '預訂場地', due: 'T-45d', priority: 'P0', tags: ['場地'], after: [1] },
+    { title: '邀請講者與來賓', due: 'T-40d', priority: 'P1', after: [1] },
+    { title: '設計主視覺與宣傳素材', due: 'T-30d', priority: 'P1', tags: ['設計'], estimate: 5 },
+    { title: '開放報名', due: 'T-28d', priority: 'P1', tags: ['宣傳'], after: [2, 4] },
+    { title: '社群與電子報宣傳', due: 'T-21d', priority: 'P1', tags: ['宣傳'], after: [5] },
+    { title: '確認餐飲、設備與動線', due: 'T-14d', priority: 'P1', tags: ['場地'], after: [2] },
+    { title: '寄送行前通知', due: 'T-3d', priority: 'P1', after: [5] },
+    { title: '現場彩排', due: 'T-1d', priority: 'P0', after: [7] },
+    { title: '活動執行', due: 'T', priority: 'P0', after: [9] },
+    { title: '寄送感謝信與滿意度問卷', due: 'T+2d', priority: 'P2', after: [10] },
+    { title: '活動檢討會', due: 'T+7d', priority: 'P2', after: [11] }
+  ],
+  marketing: [
+    { title: '定義目標受眾與 KPI', due: 'S+3d', priority: 'P0' },
+    { title: '競品與市場調查', due: 'S+7d', priority: 'P1', tags: ['研究'] },
+    { title: '擬定訊息策略與素材清單', due: 'T-28d', priority: 'P1', after: [1, 2] },
+    { title: '製作廣告與社群素材', due: 'T-21d', priority: 'P1', tags: ['設計'], estimate: 5, after: [3] },
+    { title: '設定追蹤碼與成效報表', due: 'T-14d', priority: 'P1' },
+    { title: '活動上線', due: 'T', priority: 'P0', after: [4, 5] },
+    { title: '每週成效報告', due: 'T+7d', priority: 'P2', recur: 'weekly', after: [6] },
+    { title: '成效檢討與結案', due: 'T+30d', priority: 'P2', after: [6] }
+  ],
+  content: [
+    { title: '確認主題與大綱', due: 'S+5d', priority: 'P0' },
+    { title: '資料蒐集與訪談', due: 'T-28d', priority: 'P1', tags: ['研究'], after: [1] },
+    { title: '撰寫初稿', due: 'T-21d', priority: 'P1', estimate: 5, after: [2] },
+    { title: '內部審稿', due: 'T-14d', priority: 'P1', after: [3] },
+    { title: '修訂與校對', due: 'T-7d', priority: 'P1', after: [4] },
+    { title: '排版與配圖', due: 'T-4d', priority: 'P2', tags: ['設計'], after: [5] },
+    { title: '發布', due: 'T', priority: 'P0', after: [6] },
+    { title: '成效追蹤', due: 'T+14d', priority: 'P2', after: [7] }
+  ],
+  product: [
+    { title: '需求訪談', due: 'S+7d', priority: 'P0', tags: ['研究'] },
+    { title: '撰寫需求規格', due: 'S+14d', priority: 'P0', after: [1] },
+    { title: '設計稿', due: 'T-42d', priority: 'P1', tags: ['設計'], estimate: 10, after: [2] },
+    { title: '開發', due: 'T-21d', priority: 'P0', estimate: 15, after: [3] },
+    { title: '測試與修正', due: 'T-7d', priority: 'P0', estimate: 5, after: [4] },
+    { title: '上線準備與文件', due: 'T-3d', priority: 'P1', after: [5] },
+    { title: '正式上線', due: 'T', priority: 'P0', after: [6] },
+    { title: '每週進度回報', due: 'S+7d', priority: 'P2', recur: 'weekly' },
+    { title: '上線後檢討', due: 'T+14d', priority: 'P2', after: [7] }
+  ],
+  other: [
+    { title: '確認目標與範圍', due: 'S+3d', priority: 'P0' },
+    { title: '擬定時程與分工', due: 'S+7d', priority: 'P1', after: [1] },
+    { title: '期中檢視', due: 'T-14d', priority: 'P1', after: [2] },
+    { title: '結案報告', due: 'T', priority: 'P1', after: [3] }
+  ]
+};
+
+// 內建範本加上專案 templates/ 目錄下的自訂範本（檔名即範本名稱，同名時覆寫內建範本）
+function loadTemplates(dir) {
+  const templates = Object.fromEntries(Object.entries(TASK_TEMPLATES).map(([name, items]) => [name, { items, source: '內建' }]));
+  if (!fs.existsSync(dir)) return templates;
+
+  fs.readdirSync(dir)
+    .filter(file => /\.ya?ml$/.test(file))
+    .sort()
+    .forEach(file => {
+      const data = parseYaml(fs.readFileSync(path.join(dir, file), 'utf-8'), { file: `templates/${file}` });
+      const items = data && data.tasks;
+      if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' || !item.title)) {
+        throw new Error(`templates/${file}: tasks 應為任務清單，每個任務都需要 title`);
+      }
+      templates[file.replace(/\.ya?ml$/, '')] = { items, source: `templates/${file}` };
+    });
+  return templates;
+}
+
+// 解析相對日期：T 為 target_date、S 為 start_date，可加減天數（d）或週數（w）；也接受 YYYY-MM-DD
+function resolveRelativeDate(expression, project) {
+  if (expression === undefined || expression === null || expression === '') return null;
+  if (isValidDate(expression)) return expression;
+
+  const match = String(expression).trim().match(/^([TS])\s*(?:([+-])\s*(\d+)\s*([dw]))?$/i);
+  if (!match) throw new Error(`無法解析相對日期「${expression}」，應為 T-14d、S+1w 或 YYYY-MM-DD`);
+
+  const key = match[1].toUpperCase() === 'T' ? 'target_date' : 'start_date';
+  const anchor = project.project?.[key];
+  if (!isValidDate(anchor)) throw new Error(`相對日期「${expression}」需要 project.yaml 中有效的 ${key}`);
+  const days = match[2] ? Number(match[3]) * (match[4].toLowerCase() === 'w' ? 7 : 1) : 0;
+  return addDays(anchor, match[2] === '-' ? -days : days);
+}
+
+// 將範本任務加入 tasks.md；標題已存在的任務略過，after 轉為新任務的 blocked_by
+function applyTemplate(content, items, project, today = getToday()) {
+  let result = content;
+  const created = [];
+  const skipped = [];
+  const ids = new Map();
+  const { tasks } = parseTasksFile(content);
+  let nextId = tasks.reduce((max, t) => Math.max(max, Number(t && t.id) || 0), 0) + 1;
+
+  items.forEach((item, index) => {
+    if (item.recur && !RECUR_INTERVALS[item.recur]) {
+      throw new Error(`範本任務「${item.title}」的 recur「${item.recur}」無效，應為 ${Object.keys(RECUR_INTERVALS).join(' | ')}`);
+    }
+    const existing = tasks.find(t => t && t.title === item.title);
+    if (existing) {
+      ids.set(index + 1, existing.id);
+      skipped.push(existing);
+      return;
+    }
+
+    const blockedBy = toIdList(item.after).map(n => ids.get(Number(n))).filter(id => id !== undefined);
+    const task = {
+      id: nextId++,
+      title: String(item.title),
+      status: 'backlog',
+      priority: PRIORITIES.includes(item.priority) ? item.priority : 'P2',
+      due: resolveRelativeDate(item.due, project),
+      ...(Number(item.estimate) > 0 ? { estimate: Number(item.estimate) } : {}),
+      assignee: item.assignee || null,
+      blocked_by: blockedBy.length === 0 ? null : (blockedBy.length === 1 ? blockedBy[0] : blockedBy),
+      tags: toIdList(item.tags),
+      created: today,
+      completed: null,
+      notes: item.notes || '',
+      ...(item.recur ? { recur: item.recur } : {})
+    };
+    ids.set(index + 1, task.id);
+    result = appendTask(result, task);
+    created.push(task);
+  });
+
+  return { content: result, created, skipped };
+}
+
+// template 指令：依專案類型（或指定名稱）的範本建立任務；template list 列出可用範本
+function runTemplate(args, paths) {
+  const { _: positional, flags } = parseArgs(args, ['dry-run', 'sync']);
+  const templates = loadTemplates(paths.templates);
+
+  if (positional[0] === 'list') {
+    Object.entries(templates).forEach(([name, { items, source }]) => {
+      console.log(`${name.padEnd(12)} ${String(items.length).padStart(2)} 個任務  （${source}）`);
+    });
+    return 0;
+  }
+
+  const project = parseProjectYaml(fs.readFileSync(paths.project, 'utf-8'), 'project.yaml');
+  const name = positional[0] || project.project?.type;
+  if (!name) throw new Error('project.yaml 沒有設定 type，請指定範本名稱，例如: template event（template list 列出可用範本）');
+  const template = templates[name];
+  if (!template) throw new Error(`找不到範本「${name}」，可用 ${Object.keys(templates).join(' | ')}`);
+
+  const today = getToday();
+  const { content, created, skipped } = applyTemplate(fs.readFileSync(paths.tasks, 'utf-8'), template.items, project, today);
+
+  created.forEach(t => console.log(`+ #${t.id} ${t.title}${t.due ? `（截止 ${t.due}${t.due < today ? '，已過期' : ''}）` : ''}${t.recur ? ` 🔁 ${t.recur}` : ''}`));
+  skipped.forEach(t => console.log(`= #${t.id} ${t.title}（已存在，略過）`));
+
+  const summary = `範本「${name}」：${created.length} 個新增、${skipped.length} 個已存在`;
+  if (flags['dry-run']) {
+    console.log(`\n（預覽）${summary}，未寫入 tasks.md`);
+    return 0;
+  }
+  if (created.length > 0) writeTasksFile(paths.tasks, content, flags.sync);
+  console.log(`\n✅ ${summary}`);
+  return 0;
+}
+
+// 外部系統的狀態名稱（小寫）對應到任務狀態
+const EXTERNAL_STATUSES = {
+  backlog: ['backlog', 'to do', 'todo', 'open', 'new', 'selected for development', 'reopened'],
+  'in-progress': ['in progress', 'in-progress', 'doing', 'in development'],
+  blocked: ['blocked', 'impeded', 'on hold', 'waiting'],
+  review: ['review', 'in review', 'code review', 'qa', 'testing', 'in qa'],
+  done: ['done', 'closed', 'resolved', 'complete', 'completed']
+};
+
+// Jira 優先級與任務優先級的對應；匯出時使用每組的第一個名稱
+const JIRA_PRIORITIES = {
+  P0: ['Highest', 'Blocker', 'Critical'],
+  P1: ['High', 'Major'],
+  P2: ['Medium', 'Low', 'Lowest', 'Minor', 'Trivial']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// 外部日期轉為 YYYY-MM-DD：支援 ISO 格式與 Jira 預設的 15/Jan/24 10:30 AM
+function parseExternalDate(value) {
+  const text = String(value || '').trim();
+  const iso = text.match(/^(\d{4}-\d{2}-\d{2})/);
+  if (iso) return isValidDate(iso[1]) ? iso[1] : null;
+
+  const jira = text.match(/^(\d{1,2})\/([A-Za-z]{3})\/(\d{2}|\d{4})\b/);
+  if (jira) {
+    const month = MONTHS.indexOf(jira[2].toLowerCase()) + 1;
+    const year = jira[3].length === 2 ? `20${jira[3]}` : jira[3];
+    const date = `${year}-${String(month).padStart(2, '0')}-${jira[1].padStart(2, '0')}`;
+    return month > 0 && isValidDate(date) ? date : null;
+  }
+  return null;
+}
+
+// 外部狀態名稱轉為任務狀態，無法辨識時回傳 null
+function mapExternalStatus(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return TASK_STATUSES.find(status => EXTERNAL_STATUSES[status].includes(key)) || null;
+}
+
+// 轉換為 `gh issue list --json number,url,title,state,body,labels,assignees,milestone,createdAt,closedAt` 的格式
+// GitHub issue 沒有截止日欄位，寫在內文的「Due: YYYY-MM-DD」一行；狀態與優先級以 status: / priority: 標籤表示
+function generateGithubIssues(data, options = {}) {
+  const { tasks, milestones } = data;
+  const issues = filterTasksSince(tasks, options.since).map(task => {
+    const external = String(task.external_id || '').match(/^github:(.*)#(\d+)$/);
+    const milestone = milestones.find(m => toIdList(m.tasks).includes(task.id));
+    const labels = [
+      ...toIdList(task.tags).map(String),
+      ...(task.priority ? [`priority:${task.priority}`] : []),
+      ...(['in-progress', 'blocked', 'review'].includes(task.status) ? [`status:${task.status}`] : [])
+    ];
+    const body = [task.notes ? String(task.notes).trim() : '', isValidDate(task.due) ? `Due: ${task.due}` : '']
+      .filter(Boolean).join('\n\n');
+
+    return {
+      number: external ? Number(external[2]) : null,
+      url: external && external[1] ? `https://github.com/${external[1]}/issues/${external[2]}` : null,
+      title: task.title || '',
+      state: task.status === 'done' ? 'CLOSED' : 'OPEN',
+      body,
+      labels: labels.map(name => ({ name })),
+      assignees: task.assignee ? [{ login: String(task.assignee) }] : [],
+      milestone: milestone
+        ? { title: milestone.title || '', dueOn: isValidDate(milestone.due) ? `${milestone.due}T00:00:00Z` : null }
+        : null,
+      createdAt: isValidDate(task.created) ? `${task.created}T00:00:00Z` : null,
+      closedAt: task.status === 'done' && isValidDate(task.completed) ? `${task.completed}T00:00:00Z` : null
+    };
+  });
+  return JSON.stringify(issues, null, 2) + '\n';
+}
+
+// 由 gh issue list --json 的輸出轉為任務欄位；status 為 null 表示開啟中但沒有狀態標籤
+// external_id 需要 repo 才能區分不同 repo 的同號 issue，因此 url（或 gh search 的 repository）為必要欄位
+function parseGithubIssues(text) {
+  let issues;
+  try {
+    issues = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`無法解析 GitHub issues JSON: ${error.message}`);
+  }
+  if (!Array.isArray(issues)) throw new Error('GitHub issues JSON 應為陣列（gh issue list --json ... 的輸出）');
+
+  return issues.map(issue => {
+    if (!issue || issue.number == null) throw new Error('GitHub issue 缺少 number 欄位');
+    const fromUrl = String(issue.url || '').match(/github\.com\/([^/]+\/[^/]+)\/issues\//);
+    const repo = fromUrl ? fromUrl[1] : (issue.repository?.nameWithOwner || (typeof issue.repository === 'string' ? issue.repository : ''));
+    if (!/^[^/\s]+\/[^/\s]+$/.test(repo)) {
+      throw new Error(`GitHub issue #${issue.number} 缺少 url 或 repository 欄位，請以 gh issue list --json number,url,... 匯出`);
+    }
+    const labels = toIdList(issue.labels).map(label => typeof label === 'object' ? String(label.name) : String(label));
+    const labelValue = prefix => {
+      const label = labels.find(l => l.toLowerCase().startsWith(prefix));
+      return label ? label.slice(prefix.length).trim() : null;
+    };
+    const priority = (labelValue('priority:') || labels.find(l => PRIORITIES.includes(l.toUpperCase())) || '').toUpperCase();
+    const body = String(issue.body || '');
+    const due = body.match(/^due:\s*(\d{4}-\d{2}-\d{2})\s*$/im);
+    const closed = String(issue.state || '').toUpperCase() === 'CLOSED';
+    const assignee = toIdList(issue.assignees)[0];
+
+    return {
+      external_id: `github:${repo}#${issue.number}`,
+      title: String(issue.title || ''),
+      status: closed ? 'done' : mapExternalStatus(labelValue('status:')),
+      priority: PRIORITIES.includes(priority) ? priority : null,
+      assignee: assignee ? String(typeof assignee === 'object' ? assignee.login : assignee) : null,
+      tags: labels.filter(l => !/^(status|priority):/i.test(l) && !PRIORITIES.includes(l.toUpperCase())),
+      due: due ? due[1] : parseExternalDate(issue.milestone?.dueOn),
+      created: parseExternalDate(issue.createdAt),
+      completed: closed ? parseExternalDate(issue.closedAt) : null,
+      notes: body.replace(/^due:.*$/im, '').trim()
+    };
+  });
+}
+
+// Jira 的 CSV 匯入格式：多個標籤使用重複的 Labels 欄位，日期為 YYYY-MM-DD
+function generateJiraCsv(data, options = {}) {
+  const tasks = filterTasksSince(data.tasks, options.since);
+  const labelColumns = Math.max(1, ...tasks.map(t => toIdList(t.tags).length));
+  const jiraStatus = { backlog: 'To Do', 'in-progress': 'In Progress', blocked: 'Blocked', review: 'In Review', done: 'Done' };
+  const header = ['Issue key', 'Summary', 'Status', 'Priority', 'Assignee', ...Array(labelColumns).fill('Labels'), 'Due Date', 'Created', 'Resolved', 'Description'];
+
+  const rows = tasks.map(task => {
+    const key = String(task.external_id || '').match(/^jira:(.+)$/);
+    const tags = toIdList(task.tags).map(tag => String(tag).replace(/\s+/g, '_'));
+    return [
+      key ? key[1] : '',
+      task.title || '',
+      jiraStatus[task.status] || '',
+      task.priority ? JIRA_PRIORITIES[task.priority]?.[0] || '' : '',
+      task.assignee || '',
+      ...Array.from({ length: labelColumns }, (_, i) => tags[i] || ''),
+      task.due || '',
+      task.created || '',
+      task.status === 'done' ? task.completed || '' : '',
+      task.notes || ''
+    ].map(formatCsvCell).join(',');
+  });
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// 由 Jira 匯出的 CSV 轉為任務欄位（依欄位名稱對應，不分大小寫）
+function parseJiraCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error('Jira CSV 是空的');
+  const names = header.map(name => name.trim().toLowerCase());
+  const column = (...candidates) => names.findIndex(name => candidates.includes(name));
+  const keyColumn = column('issue key', 'key');
+  if (keyColumn === -1) throw new Error('Jira CSV 缺少 Issue key 欄位');
+
+  const columns = {
+    summary: column('summary'),
+    status: column('status'),
+    category: column('status category'),
+    priority: column('priority'),
+    assignee: column('assignee'),
+    due: column('due date', 'due'),
+    created: column('created'),
+    resolved: column('resolved'),
+    description: column('description')
+  };
+  const labelColumns = names.map((name, i) => (name === 'labels' ? i : -1)).filter(i => i !== -1);
+  const priorityOf = name => PRIORITIES.find(p => JIRA_PRIORITIES[p].some(n => n.toLowerCase() === String(name || '').trim().toLowerCase())) || null;
+
+  return rows.filter(row => row[keyColumn]).map(row => {
+    const value = index => (index === -1 ? '' : String(row[index] || '').trim());
+    const status = mapExternalStatus(value(columns.status)) || mapExternalStatus(value(columns.category));
+    return {
+      external_id: `jira:${value(keyColumn)}`,
+      title: value(columns.summary),
+      status,
+      priority: priorityOf(value(columns.priority)),
+      assignee: value(columns.assignee) || null,
+      tags: labelColumns.flatMap(i => value(i).split(/\s+/)).filter(Boolean),
+      due: parseExternalDate(value(columns.due)),
+      created: parseExternalDate(value(columns.created)),
+      completed: status === 'done' ? parseExternalDate(value(columns.resolved)) : null,
+      notes: value(columns.description)
+    };
+  });
+}
+
+const IMPORT_FORMATS = {
+  github: parseGithubIssues,
+  jira: parseJiraCsv
+};
+
+// 依 external_id 將匯入的項目合併進 tasks.md：已存在的任務更新有變動的欄位，其餘新增
+// 找不到 external_id 時，以標題相同且尚未連結的任務對應，並補上 external_id
+// 匯入時沒有狀態（status 為 null）的項目保留原狀態，已完成者改回待辦；優先級、負責人、標籤與截止日為空時保留原值
+function mergeImportedTasks(content, items) {
+  let result = content;
+  const changes = [];
+  const today = getToday();
+
+  items.forEach(item => {
+    const { tasks } = parseTasksFile(result);
+    // 尚未連結的任務（例如先匯出再建立的 issue）以相同標題對應
+    const existing = tasks.find(t => t && t.external_id === item.external_id) ||
+      tasks.find(t => t && !t.external_id && item.title && t.title === item.title);
+
+    if (!existing) {
+      const status = item.status || 'backlog';
+      const task = {
+        id: tasks.reduce((max, t) => Math.max(max, Number(t && t.id) || 0), 0) + 1,
+        title: item.title || '未命名任務',
+        status,
+        priority: item.priority || 'P2',
+        due: item.due || null,
+        assignee: item.assignee || null,
+        blocked_by: null,
+        tags: item.tags,
+        created: item.created || today,
+        completed: status === 'done' ? item.completed || today : null,
+        notes: item.notes || '',
+        external_id: item.external_id
+      };
+      result = appendTask(result, task);
+      changes.push(`+ #${task.id} ${task.title}（${item.external_id}）`);
+      return;
+    }
+
+    const status = item.status || (existing.status === 'done' ? 'backlog' : existing.status);
+    const updates = {
+      title: item.title || existing.title,
+      status,
+      // 來源沒有提供的欄位保留本地的值，例如 Jira CSV 沒有 Due Date 欄位
+      ...(item.priority ? { priority: item.priority } : {}),
+      ...(item.assignee ? { assignee: item.assignee } : {}),
+      ...(toIdList(item.tags).length > 0 ? { tags: item.tags } : {}),
+      ...(item.due ? { due: item.due } : {}),
+      completed: status === 'done' ? item.completed || existing.completed || today : null
+    };
+    const fields = Object.keys(updates).filter(key => {
+      const before = key === 'tags' ? toIdList(existing.tags).map(String) : existing[key] ?? null;
+      return JSON.stringify(before) !== JSON.stringify(updates[key] ?? null);
+    });
+    if (!existing.external_id) fields.push('external_id');
+    updates.external_id = item.external_id;
+    fields.forEach(key => {
+      result = setTaskField(result, existing.id, key, updates[key] ?? null);
+    });
+    if (fields.length > 0) {
+      const detail = fields.map(key => key === 'status' ? `${existing.status} → ${status}` : key).join(', ');
+      changes.push(`~ #${existing.id} ${updates.title}: ${detail}`);
+    }
+
+    // 與 done / move 相同，週期任務完成時建立下一次的任務
+    if (status === 'done' && existing.status !== 'done' && RECUR_INTERVALS[existing.recur]) {
+      const before = parseTasksFile(result).tasks;
+      result = appendRecurrence(result, before.find(t => t && t.id === existing.id), today);
+      parseTasksFile(result).tasks
+        .filter(t => t && !before.some(old => old && old.id === t.id))
+        .forEach(t => changes.push(`+ #${t.id} ${t.title}（週期任務，截止 ${t.due}）`));
+    }
+  });
+
+  return { content: result, changes };
+}
+
+function runImport(args, paths) {
+  const { _: positional, flags } = parseArgs(args, ['dry-run', 'sync']);
+  const [format, file] = positional;
+  const parse = IMPORT_FORMATS[format];
+  if (!parse) {
+    throw new Error(`請指定匯入格式，例如: import github issues.json（可用 ${Object.keys(IMPORT_FORMATS).join(' | ')}）`);
+  }
+  if (!file) throw new Error(`請提供要匯入的檔案，例如: import ${format} ${format === 'github' ? 'issues.json' : 'jira.csv'}`);
+
+  const items = parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+  const { content, changes } = mergeImportedTasks(fs.readFileSync(paths.tasks, 'utf-8'), items);
+
+  changes.forEach(line => console.log(line));
+  const summary = `${items.length} 個項目，${changes.filter(c => c.startsWith('+')).length} 個新增、${changes.filter(c => c.startsWith('~')).length} 個更新`;
+  if (flags['dry-run']) {
+    console.log(`\n（預覽）${summary}，未寫入 tasks.md`);
+    return 0;
+  }
+  if (changes.length > 0) writeTasksFile(paths.tasks, content, flags.sync);
+  console.log(`\n✅ 已匯入 ${summary}`);
+  return 0;
+}
+
+// 主題的 CSS 變數宣告
+function themeVariables(name, indent = '      ') {
+  const entries = Object.entries(THEMES[name]).map(([key, value]) => `${indent}--${key}: ${value};`);
+  return [`${indent}color-scheme: ${name};`, ...entries].join('\n');
+}
+
+// 儀表板樣式；在其他頁面嵌入 generateKanbanColumn 等片段時也需要載入
+function generateStyles() {
+  return `
+    :root {
+${themeVariables('dark')}
+    }
+
+    @media (prefers-color-scheme: light) {
+      :root:not([data-theme="dark"]) {
+${themeVariables('light', '        ')}
+      }
+    }
+
+    :root[data-theme="light"] {
+${themeVariables('light')}
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      line-height: 1.5;
+    }
+
+    .container {
+      max-width: 1400px;
+      margin: 0 auto;
+      padding: 24px;
+    }
+
+    header {
+      margin-bottom: 32px;
+      padding-bottom: 16px;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    header h1 {
+      font-size: 24px;
+      font-weight: 600;
+      margin-bottom: 8px;
+    }
+
+    .project-meta {
+      display: flex;
+      gap: 24px;
+      color: var(--text-secondary);
+      font-size: 14px;
+    }
+
+    .project-meta span {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    .tabs {
+      display: flex;
+      gap: 8px;
+      margin-bottom: 24px;
+      border-bottom: 1px solid var(--border-color);
+      padding-bottom: 0;
+    }
+
+    .tab {
+      padding: 12px 16px;
+      background: none;
+      border: none;
+      color: var(--text-secondary);
+      font-size: 14px;
+      cursor: pointer;
+      border-bottom: 2px solid transparent;
+      margin-bottom: -1px;
+      transition: all 0.2s;
+    }
+
+    .tab:hover {
+      color: var(--text-primary);
+    }
+
+    .tab.active {
+      color: var(--text-primary);
+      border-bottom-color: var(--accent-blue);
+    }
+
+    .tab-content {
+      display: none;
+    }
+
+    .tab-content.active {
+      display: block;
+    }
+
+    /* Kanban Board */
+    .kanban {
+      display: grid;
+      grid-template-columns: repeat(5, 1fr);
+      gap: 16px;
+      overflow-x: auto;
+    }
+
+    .kanban-toolbar {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 16px;
+    }
+
+    .kanban-toolbar select {
+      padding: 6px 8px;
+      background: var(--bg-primary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      color: var(--text-primary);
+      font-size: 13px;
+    }
+
+    .filter-check {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      font-size: 13px;
+      color: var(--text-secondary);
+      cursor: pointer;
+    }
+
+    .filter-summary {
+      margin-left: auto;
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    .kanban-lane {
+      margin-bottom: 24px;
+    }
+
+    .lane-header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 14px;
+      font-weight: 600;
+      margin-bottom: 8px;
+    }
+
+    .kanban-column {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 12px;
+      min-width: 250px;
+    }
+
+    .column-header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 12px;
+      padding-bottom: 8px;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .column-header h3 {
+      font-size: 14px;
+      font-weight: 600;
+    }
+
+    .column-count {
+      background: var(--bg-tertiary);
+      color: var(--text-secondary);
+      font-size: 12px;
+      padding: 2px 8px;
+      border-radius: 10px;
+    }
+
+    .task-card {
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      padding: 12px;
+      margin-bottom: 8px;
+      cursor: pointer;
+      transition: all 0.2s;
+    }
+
+    .task-card:hover {
+      border-color: var(--accent-blue);
+      transform: translateY(-1px);
+    }
+
+    .task-title {
+      font-size: 14px;
+      font-weight: 500;
+      margin-bottom: 8px;
+    }
+
+    .task-meta {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      font-size: 12px;
+    }
+
+    .priority {
+      padding: 2px 6px;
+      border-radius: 4px;
+      font-weight: 500;
+    }
+
+    .priority-p0 { background: rgba(248, 81, 73, 0.2); color: var(--accent-red); }
+    .priority-p1 { background: rgba(210, 153, 34, 0.2); color: var(--accent-yellow); }
+    .priority-p2 { background: rgba(63, 185, 80, 0.2); color: var(--accent-green); }
+
+    .due-date {
+      color: var(--text-secondary);
+    }
+
+    .due-date.overdue {
+      color: var(--accent-red);
+    }
+
+    .assignee {
+      color: var(--accent-blue);
+    }
+
+    .empty-state {
+      color: var(--text-secondary);
+      font-size: 13px;
+      text-align: center;
+      padding: 24px;
+    }
+
+    /* Timeline */
+    .timeline-container {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 24px;
+    }
+
+    .timeline {
+      position: relative;
+      padding-left: 24px;
+    }
+
+    .timeline::before {
+      content: '';
+      position: absolute;
+      left: 6px;
+      top: 0;
+      bottom: 0;
+      width: 2px;
+      background: var(--border-color);
+    }
+
+    .timeline-item {
+      position: relative;
+      margin-bottom: 24px;
+      padding-left: 24px;
+    }
+
+    .timeline-item::before {
+      content: '';
+      position: absolute;
+      left: -21px;
+      top: 4px;
+      width: 12px;
+      height: 12px;
+      border-radius: 50%;
+      background: var(--bg-tertiary);
+      border: 2px solid var(--accent-blue);
+    }
+
+    .timeline-item.achieved::before {
+      background: var(--accent-green);
+      border-color: var(--accent-green);
+    }
+
+    .timeline-item.overdue::before {
+      background: var(--accent-red);
+      border-color: var(--accent-red);
+    }
+
+    .timeline-date {
+      font-size: 12px;
+      color: var(--text-secondary);
+      margin-bottom: 4px;
+    }
+
+    .timeline-title {
+      font-size: 16px;
+      font-weight: 600;
+      margin-bottom: 4px;
+    }
+
+    .timeline-tasks {
+      font-size: 13px;
+      color: var(--text-secondary);
+    }
+
+    .milestone-progress {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px 12px;
+      font-size: 13px;
+      color: var(--text-secondary);
+    }
+
+    .milestone-progress .progress-bar {
+      width: 160px;
+      margin-right: 0;
+    }
+
+    .milestone-warning {
+      font-size: 13px;
+      color: var(--accent-yellow);
+      margin-top: 6px;
+    }
+
+    .milestone-progress .milestone-warning {
+      margin-top: 0;
+    }
+
+    .link-chip.status-done { color: var(--accent-green); }
+    .link-chip.status-in-progress { color: var(--accent-blue); }
+    .link-chip.status-blocked { color: var(--accent-red); }
+    .link-chip.status-review { color: var(--accent-yellow); }
+
+    /* Gantt Chart */
+    .gantt-container {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 24px;
+      overflow-x: auto;
+      margin-top: 24px;
+    }
+
+    .gantt-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin-bottom: 16px;
+    }
+
+    .gantt-header h3 {
+      font-size: 16px;
+      font-weight: 600;
+    }
+
+    .gantt-chart {
+      min-width: 800px;
+    }
+
+    .gantt-row {
+      display: flex;
+      align-items: center;
+      margin-bottom: 8px;
+      height: 36px;
+    }
+
+    .gantt-label {
+      width: 200px;
+      font-size: 13px;
+      padding-right: 16px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .gantt-bars {
+      flex: 1;
+      height: 100%;
+      background: var(--bg-tertiary);
+      border-radius: 4px;
+      position: relative;
+    }
+
+    .gantt-bar {
+      position: absolute;
+      height: 24px;
+      top: 6px;
+      border-radius: 4px;
+      display: flex;
+      align-items: center;
+      padding: 0 8px;
+      font-size: 11px;
+      color: white;
+      white-space: nowrap;
+      overflow: hidden;
+    }
+
+    .gantt-bar.backlog { background: var(--text-secondary); }
+    .gantt-bar.in-progress { background: var(--accent-blue); }
+    .gantt-bar.blocked { background: var(--accent-red); }
+    .gantt-bar.review { background: var(--accent-yellow); }
+    .gantt-bar.done { background: var(--accent-green); }
+    .gantt-bar.milestone { background: var(--accent-purple); }
+
+    .gantt-scale {
+      position: relative;
+      height: 24px;
+      margin-bottom: 8px;
+      margin-left: 200px;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .gantt-rows {
+      position: relative;
+    }
+
+    .gantt-overlay {
+      position: absolute;
+      top: 0;
+      left: 200px;
+      right: 0;
+      bottom: 0;
+      pointer-events: none;
+    }
+
+    .gantt-arrows {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      overflow: visible;
+      z-index: 5;
+    }
+
+    .gantt-arrow line {
+      stroke: var(--text-primary);
+      stroke-width: 1.5;
+      opacity: 0.7;
+    }
+
+    .gantt-arrow.conflict line {
+      stroke: var(--accent-red);
+      opacity: 1;
+    }
+
+    #gantt-arrowhead path { fill: var(--text-primary); }
+
+    .gantt-lane-title {
+      font-size: 13px;
+      font-weight: 600;
+      color: var(--text-secondary);
+      margin: 16px 0 8px;
+      padding-top: 12px;
+      border-top: 1px solid var(--border-color);
+    }
+
+    .gantt-unscheduled {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+    }
+
+    .gantt-chip {
+      font-size: 12px;
+      padding: 4px 10px;
+      border-radius: 4px;
+      background: var(--bg-tertiary);
+      border-left: 3px solid var(--text-secondary);
+    }
+
+    .gantt-chip.in-progress { border-left-color: var(--accent-blue); }
+    .gantt-chip.blocked { border-left-color: var(--accent-red); }
+    .gantt-chip.review { border-left-color: var(--accent-yellow); }
+    .gantt-chip.done { border-left-color: var(--accent-green); }
+
+    .gantt-scale span {
+      position: absolute;
+      font-size: 11px;
+      color: var(--text-secondary);
+      transform: translateX(-50%);
+    }
+
+    .gantt-today {
+      position: absolute;
+      top: 0;
+      bottom: 0;
+      width: 2px;
+      background: var(--accent-red);
+      z-index: 10;
+    }
+
+    .gantt-today::before {
+      content: '';
+      position: absolute;
+      top: -8px;
+      left: -4px;
+      width: 0;
+      height: 0;
+      border-left: 5px solid transparent;
+      border-right: 5px solid transparent;
+      border-top: 8px solid var(--accent-red);
+    }
+
+    /* Decisions */
+    .decisions-container {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 24px;
+    }
+
+    .decisions-toolbar {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 16px;
+      margin-bottom: 16px;
+    }
+
+    .decisions-toolbar h3 {
+      font-size: 16px;
+      font-weight: 600;
+    }
+
+    .search-input {
+      width: 280px;
+      max-width: 100%;
+      padding: 6px 12px;
+      background: var(--bg-primary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      color: var(--text-primary);
+      font-size: 13px;
+    }
+
+    .search-input:focus {
+      outline: none;
+      border-color: var(--accent-blue);
+    }
+
+    .decision-card {
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      padding: 16px;
+      margin-bottom: 12px;
+    }
+
+    .decision-header {
+      display: flex;
+      align-items: baseline;
+      gap: 12px;
+      margin-bottom: 8px;
+    }
+
+    .decision-id {
+      font-size: 12px;
+      font-weight: 600;
+      color: var(--accent-purple);
+    }
+
+    .decision-title {
+      font-size: 15px;
+      font-weight: 600;
+      flex: 1;
+    }
+
+    .decision-meta {
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    .decision-field {
+      font-size: 13px;
+      margin-top: 8px;
+    }
+
+    .decision-field-label {
+      color: var(--text-secondary);
+      font-size: 12px;
+      margin-bottom: 2px;
+    }
+
+    .decision-field ul {
+      padding-left: 20px;
+    }
+
+    .link-list {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-top: 10px;
+    }
+
+    .link-chip {
+      font-size: 12px;
+      padding: 2px 8px;
+      border-radius: 10px;
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      color: var(--text-secondary);
+    }
+
+    .link-chip.milestone { color: var(--accent-purple); }
+    .link-chip.missing { color: var(--accent-red); border-color: var(--accent-red); }
+
+    /* Meetings */
+    .meetings-container {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 24px;
+    }
+
+    .meetings-container > h3 {
+      font-size: 16px;
+      font-weight: 600;
+      margin-bottom: 16px;
+    }
+
+    .meeting-warning {
+      font-size: 13px;
+      color: var(--accent-yellow);
+      background: rgba(210, 153, 34, 0.1);
+      border: 1px solid rgba(210, 153, 34, 0.4);
+      border-radius: 6px;
+      padding: 8px 12px;
+      margin-bottom: 16px;
+    }
+
+    .meeting-card {
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      padding: 16px;
+      margin-bottom: 12px;
+    }
+
+    .meeting-header {
+      display: flex;
+      align-items: baseline;
+      gap: 12px;
+      margin-bottom: 6px;
+    }
+
+    .meeting-date {
+      font-size: 12px;
+      color: var(--text-secondary);
+      min-width: 80px;
+    }
+
+    .meeting-title {
+      font-size: 15px;
+      font-weight: 600;
+      flex: 1;
+    }
+
+    .meeting-file {
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    .meeting-attendees {
+      font-size: 12px;
+      color: var(--accent-blue);
+      margin-bottom: 8px;
+    }
+
+    .action-items {
+      list-style: none;
+      font-size: 13px;
+      margin-top: 8px;
+    }
+
+    .action-items li {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      padding: 4px 0;
+      border-top: 1px solid var(--border-color);
+    }
+
+    .action-item-meta {
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    .action-item-flag {
+      font-size: 11px;
+      padding: 1px 6px;
+      border-radius: 4px;
+      background: rgba(210, 153, 34, 0.2);
+      color: var(--accent-yellow);
+    }
+
+    /* Dependency Graph */
+    .graph-container {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 24px;
+    }
+
+    .graph-container > h3 {
+      font-size: 16px;
+      font-weight: 600;
+      margin-bottom: 16px;
+    }
+
+    .graph-toolbar {
+      font-size: 13px;
+      color: var(--text-secondary);
+      margin-bottom: 16px;
+    }
+
+    .graph-toolbar select {
+      width: auto;
+      margin-left: 4px;
+    }
+
+    .graph-issues {
+      list-style: none;
+      font-size: 13px;
+      color: var(--accent-red);
+      margin-bottom: 16px;
+    }
+
+    .graph-scroll {
+      overflow-x: auto;
+    }
+
+    .graph-note {
+      font-size: 12px;
+      color: var(--text-secondary);
+      margin-top: 8px;
+    }
+
+    .dependency-graph text {
+      font-size: 12px;
+      fill: var(--text-primary);
+    }
+
+    .dependency-graph .graph-node-id {
+      fill: var(--text-secondary);
+      font-size: 11px;
+    }
+
+    .graph-node rect {
+      fill: var(--bg-tertiary);
+      stroke: var(--border-color);
+      stroke-width: 1.5;
+    }
+
+    .graph-node.backlog rect { stroke: var(--text-secondary); }
+    .graph-node.in-progress rect { stroke: var(--accent-blue); }
+    .graph-node.blocked rect { stroke: var(--accent-red); }
+    .graph-node.review rect { stroke: var(--accent-yellow); }
+    .graph-node.done rect { stroke: var(--accent-green); opacity: 0.6; }
+    .graph-node.missing rect { stroke-dasharray: 4 3; }
+    .graph-node.cycle rect { stroke: var(--accent-red); stroke-width: 2.5; }
+    .graph-node.critical rect { fill: rgba(163, 113, 247, 0.2); stroke: var(--accent-purple); stroke-width: 2.5; }
+
+    .graph-edge {
+      fill: none;
+      stroke: var(--text-secondary);
+      stroke-width: 1.5;
+    }
+
+    .graph-edge.cycle { stroke: var(--accent-red); stroke-dasharray: 5 4; }
+    .graph-edge.critical { stroke: var(--accent-purple); stroke-width: 3; }
+
+    #graph-arrow path { fill: var(--text-secondary); }
+
+    .blocked-by {
+      color: var(--accent-red);
+    }
+
+    /* Task Drawer */
+    .drawer-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(1, 4, 9, 0.6);
+      z-index: 10;
+    }
+
+    .drawer {
+      position: fixed;
+      top: 0;
+      right: 0;
+      bottom: 0;
+      width: 420px;
+      max-width: 100%;
+      padding: 24px;
+      background: var(--bg-secondary);
+      border-left: 1px solid var(--border-color);
+      overflow-y: auto;
+      transform: translateX(100%);
+      transition: transform 0.2s;
+      z-index: 11;
+    }
+
+    .drawer.open {
+      transform: translateX(0);
+    }
+
+    .drawer-close {
+      position: absolute;
+      top: 16px;
+      right: 16px;
+      background: none;
+      border: none;
+      color: var(--text-secondary);
+      font-size: 16px;
+      cursor: pointer;
+    }
+
+    .task-detail h3 {
+      font-size: 18px;
+      margin: 0 32px 16px 0;
+    }
+
+    .drawer-fields {
+      display: grid;
+      grid-template-columns: 88px 1fr;
+      gap: 6px 12px;
+      font-size: 13px;
+      margin-bottom: 16px;
+    }
+
+    .drawer-fields dt {
+      color: var(--text-secondary);
+    }
+
+    .drawer-section {
+      margin-bottom: 16px;
+    }
+
+    .drawer-section h4 {
+      font-size: 12px;
+      font-weight: 500;
+      color: var(--text-secondary);
+      margin-bottom: 6px;
+    }
+
+    .drawer-section .link-list {
+      margin-top: 0;
+    }
+
+    .drawer-notes {
+      font-size: 13px;
+      white-space: pre-wrap;
+      background: var(--bg-tertiary);
+      border-radius: 6px;
+      padding: 10px 12px;
+    }
+
+    .drawer-empty {
+      font-size: 13px;
+      color: var(--text-secondary);
+    }
+
+    .task-link {
+      cursor: pointer;
+      font-family: inherit;
+    }
+
+    .task-link:hover {
+      border-color: var(--accent-blue);
+      color: var(--text-primary);
+    }
+
+    /* Trends */
+    .trends-container {
+      display: grid;
+      gap: 24px;
+    }
+
+    .trend-card {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 24px;
+    }
+
+    .trend-card > h3 {
+      font-size: 16px;
+      font-weight: 600;
+      margin-bottom: 4px;
+    }
+
+    .trend-note {
+      font-size: 12px;
+      color: var(--text-secondary);
+      margin-bottom: 16px;
+    }
+
+    .trend-chart {
+      display: block;
+      width: 100%;
+      height: auto;
+    }
+
+    .chart-grid { stroke: var(--border-color); stroke-width: 1; }
+    .chart-label { fill: var(--text-secondary); font-size: 11px; }
+    .chart-line { fill: none; stroke: var(--accent-blue); stroke-width: 2; }
+    .chart-scope { fill: none; stroke: var(--accent-purple); stroke-width: 1.5; opacity: 0.6; }
+    .chart-ideal { fill: none; stroke: var(--text-secondary); stroke-width: 1.5; stroke-dasharray: 6 4; }
+    .chart-today { stroke: var(--accent-red); stroke-width: 1; stroke-dasharray: 4 4; }
+    .chart-average { stroke: var(--accent-yellow); stroke-width: 1.5; stroke-dasharray: 6 4; }
+    .chart-bar { fill: var(--accent-green); }
+
+    .cfd-band { opacity: 0.85; }
+    .cfd-band.backlog { fill: var(--text-secondary); }
+    .cfd-band.in-progress { fill: var(--accent-blue); }
+    .cfd-band.blocked { fill: var(--accent-red); }
+    .cfd-band.review { fill: var(--accent-yellow); }
+    .cfd-band.done { fill: var(--accent-green); }
+
+    .trend-summary {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 24px;
+      font-size: 13px;
+      color: var(--text-secondary);
+      margin-top: 12px;
+    }
+
+    .trend-summary strong {
+      color: var(--text-primary);
+    }
+
+    /* Members */
+    .members-container {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 24px;
+      overflow-x: auto;
+    }
+
+    .members-container > h3 {
+      font-size: 16px;
+      font-weight: 600;
+      margin-bottom: 4px;
+    }
+
+    .member-table td {
+      vertical-align: top;
+    }
+
+    .member-row.overloaded td:first-child {
+      box-shadow: inset 3px 0 var(--accent-red);
+    }
+
+    .member-row.unassigned td:first-child {
+      box-shadow: inset 3px 0 var(--accent-yellow);
+    }
+
+    .member-chips {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+    }
+
+    .member-link {
+      background: none;
+      border: none;
+      padding: 0;
+      color: var(--accent-blue);
+      font: inherit;
+      font-weight: 600;
+      cursor: pointer;
+    }
+
+    .member-name {
+      font-weight: 600;
+    }
+
+    .member-warning {
+      font-size: 12px;
+      color: var(--accent-red);
+      margin-top: 4px;
+    }
+
+    .member-row.unassigned .member-warning {
+      color: var(--accent-yellow);
+    }
+
+    .member-meta {
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    .load-chart {
+      display: block;
+      width: 320px;
+      height: auto;
+    }
+
+    .load-bar { fill: var(--accent-blue); }
+    .load-bar.over { fill: var(--accent-red); }
+    .chart-label.over { fill: var(--accent-red); font-weight: 600; }
+    .load-capacity { stroke: var(--accent-yellow); stroke-width: 1.5; stroke-dasharray: 4 3; }
+
+    /* Budget */
+    .budget-container {
+      display: grid;
+      gap: 24px;
+    }
+
+    .budget-container .stats {
+      margin-bottom: 0;
+    }
+
+    .budget-container .stat-value {
+      font-size: 24px;
+    }
+
+    .budget-card {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 24px;
+      overflow-x: auto;
+    }
+
+    .budget-card > h3 {
+      font-size: 16px;
+      font-weight: 600;
+      margin-bottom: 4px;
+    }
+
+    .budget-warning {
+      padding: 12px 16px;
+      background: rgba(248, 81, 73, 0.1);
+      border: 1px solid var(--accent-red);
+      border-radius: 8px;
+      color: var(--accent-red);
+      font-size: 14px;
+    }
+
+    .data-table tr.over-budget td {
+      color: var(--accent-red);
+    }
+
+    .progress-fill.over {
+      background: var(--accent-red);
+    }
+
+    /* Tables */
+    .data-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 14px;
+    }
+
+    .data-table th,
+    .data-table td {
+      padding: 10px 12px;
+      text-align: left;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .data-table th {
+      color: var(--text-secondary);
+      font-size: 12px;
+      font-weight: 500;
+    }
+
+    .data-table td.number,
+    .data-table th.number {
+      text-align: right;
+      font-variant-numeric: tabular-nums;
+    }
+
+    .data-table a {
+      color: var(--accent-blue);
+      text-decoration: none;
+    }
+
+    .data-table a:hover {
+      text-decoration: underline;
+    }
+
+    .data-table .warning { color: var(--accent-yellow); }
+    .data-table .danger { color: var(--accent-red); }
+    .data-table .muted { color: var(--text-secondary); }
+
+    .progress-bar {
+      display: inline-block;
+      width: 100px;
+      height: 6px;
+      margin-right: 8px;
+      border-radius: 3px;
+      background: var(--bg-tertiary);
+      vertical-align: middle;
+      overflow: hidden;
+    }
+
+    .progress-fill {
+      display: block;
+      height: 100%;
+      background: var(--accent-green);
+    }
+
+    /* Portfolio */
+    .portfolio-section {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 24px;
+      margin-bottom: 24px;
+      overflow-x: auto;
+    }
+
+    .portfolio-section h3 {
+      font-size: 16px;
+      margin-bottom: 16px;
+    }
+
+    /* Summary Stats */
+    .stats {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+      gap: 16px;
+      margin-bottom: 24px;
+    }
+
+    .stat-card {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 16px;
+      text-align: center;
+    }
+
+    .stat-value {
+      font-size: 32px;
+      font-weight: 600;
+      color: var(--accent-blue);
+    }
+
+    .stat-label {
+      font-size: 12px;
+      color: var(--text-secondary);
+      margin-top: 4px;
+    }
+
+    .stat-card.warning .stat-value { color: var(--accent-yellow); }
+    .stat-card.danger .stat-value { color: var(--accent-red); }
+    .stat-card.success .stat-value { color: var(--accent-green); }
+
+    /* Overview */
+    .overview {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(260px, 1fr));
+      gap: 16px;
+      margin-bottom: 24px;
+    }
+
+    .overview-card {
+      background: var(--bg-secondary);
+      border-radius: 8px;
+      padding: 16px;
+    }
+
+    .overview-card.deliverables {
+      grid-column: span 2;
+    }
+
+    .overview-card h3 {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 14px;
+      font-weight: 600;
+      margin-bottom: 8px;
+    }
+
+    .overview-card p {
+      font-size: 14px;
+      white-space: pre-wrap;
+    }
+
+    .overview-card p + .overview-people {
+      margin-top: 8px;
+    }
+
+    .overview-people {
+      display: grid;
+      gap: 4px;
+      font-size: 14px;
+    }
+
+    .overview-label {
+      display: inline-block;
+      min-width: 56px;
+      color: var(--text-secondary);
+      font-size: 12px;
+    }
+
+    .deliverable-list {
+      list-style: none;
+      display: grid;
+      gap: 10px;
+    }
+
+    .deliverable {
+      padding-left: 10px;
+      border-left: 3px solid var(--border-color);
+    }
+
+    .deliverable.done { border-left-color: var(--accent-green); }
+    .deliverable.in-progress { border-left-color: var(--accent-blue); }
+
+    .deliverable-header {
+      display: flex;
+      justify-content: space-between;
+      gap: 12px;
+      font-size: 14px;
+    }
+
+    .deliverable-status {
+      font-size: 12px;
+      color: var(--text-secondary);
+      white-space: nowrap;
+    }
+
+    .deliverable .link-list {
+      margin-top: 6px;
+    }
+
+    .deliverable-notes {
+      font-size: 12px;
+      color: var(--text-secondary);
+      margin-top: 4px;
+    }
+
+    .link-chip.file {
+      color: var(--accent-blue);
+      text-decoration: none;
+    }
+
+    /* Health */
+    .health-panel {
+      background: var(--bg-secondary);
+      border-left: 3px solid var(--accent-green);
+      border-radius: 8px;
+      padding: 16px;
+      margin-bottom: 24px;
+    }
+
+    .health-panel.has-warnings { border-left-color: var(--accent-yellow); }
+    .health-panel.has-errors { border-left-color: var(--accent-red); }
+
+    .health-header {
+      display: flex;
+      align-items: baseline;
+      gap: 12px;
+    }
+
+    .health-header h3 {
+      font-size: 16px;
+      font-weight: 600;
+    }
+
+    .health-summary {
+      font-size: 13px;
+      color: var(--text-secondary);
+    }
+
+    .health-group {
+      margin-top: 12px;
+    }
+
+    .health-rule {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 13px;
+      font-weight: 600;
+      margin-bottom: 4px;
+    }
+
+    .health-group ul {
+      list-style: none;
+      font-size: 13px;
+    }
+
+    .health-group li {
+      padding: 4px 0 4px 24px;
+      color: var(--text-secondary);
+    }
+
+    /* Responsive */
+    @media (max-width: 1024px) {
+      .kanban {
+        grid-template-columns: repeat(3, 1fr);
+      }
+    }
+
+    @media (max-width: 768px) {
+      .kanban {
+        grid-template-columns: 1fr;
+      }
+
+      .stats {
+        grid-template-columns: repeat(2, 1fr);
+      }
+
+      .overview-card.deliverables {
+        grid-column: auto;
+      }
+    }
+
+    /* Legend */
+    .legend {
+      display: flex;
+      gap: 16px;
+      flex-wrap: wrap;
+      margin-bottom: 16px;
+      font-size: 12px;
+    }
+
+    .legend-item {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    .legend-color {
+      width: 12px;
+      height: 12px;
+      border-radius: 2px;
+    }
+
+    .theme-toggle {
+      float: right;
+      padding: 6px 12px;
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      color: var(--text-primary);
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    .print-only {
+      display: none;
+    }
+
+    /* 列印：一律使用淺色主題，依序列出統計、看板、時間軸與甘特圖，各自一頁 */
+    @page {
+      size: A4 landscape;
+      margin: 12mm;
+    }
+
+    @media print {
+      :root, :root[data-theme] {
+${themeVariables('light', '        ')}
+      }
+
+      body {
+        font-size: 12px;
+        -webkit-print-color-adjust: exact;
+        print-color-adjust: exact;
+      }
+
+      .container {
+        max-width: none;
+        padding: 0;
+      }
+
+      .tabs,
+      .theme-toggle,
+      .kanban-toolbar,
+      .drawer,
+      .drawer-overlay,
+      #live-reload-error {
+        display: none !important;
+      }
+
+      .print-only {
+        display: block;
+      }
+
+      .tab-content {
+        display: none !important;
+      }
+
+      #kanban, #timeline, #gantt {
+        display: block !important;
+        break-before: page;
+      }
+
+      .print-only, .timeline-container h3 {
+        font-size: 16px;
+        margin-bottom: 12px;
+      }
+
+      .stats {
+        grid-template-columns: repeat(5, 1fr);
+      }
+
+      .kanban {
+        grid-template-columns: repeat(5, 1fr);
+        overflow: visible;
+      }
+
+      .kanban-column {
+        min-width: 0;
+      }
+
+      .task-card, .timeline-item, .gantt-row, .stat-card {
+        break-inside: avoid;
+      }
+
+      /* 甘特圖的長條以百分比定位，取消最小寬度即可縮放到頁寬 */
+      .gantt-container {
+        overflow: visible;
+        margin-top: 0;
+        padding: 0;
+        background: none;
+      }
+
+      .gantt-chart {
+        min-width: 0;
+      }
+
+      .gantt-label {
+        width: 140px;
+      }
+
+      .gantt-scale {
+        margin-left: 140px;
+      }
+
+      .gantt-overlay {
+        left: 140px;
+      }
+    }
+  `;
+}
+
+// 主題切換：優先使用記住的選擇，放在 <head> 中避免載入時閃爍
+function generateThemeScript() {
+  return `<script>
+    (function () {
+      var key = '${THEME_STORAGE_KEY}';
+      var root = document.documentElement;
+      try {
+        var saved = localStorage.getItem(key);
+        if (saved === 'light' || saved === 'dark') root.setAttribute('data-theme', saved);
+      } catch (e) {}
+
+      function currentTheme() {
+        return root.getAttribute('data-theme') ||
+          (window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark');
+      }
+
+      function updateButton(button) {
+        button.textContent = currentTheme() === 'light' ? '🌙 深色' : '☀️ 淺色';
+      }
+
+      document.addEventListener('DOMContentLoaded', function () {
+        var button = document.getElementById('theme-toggle');
+        if (!button) return;
+        updateButton(button);
+        button.addEventListener('click', function () {
+          var next = currentTheme() === 'light' ? 'dark' : 'light';
+          root.setAttribute('data-theme', next);
+          try { localStorage.setItem(key, next); } catch (e) {}
+          updateButton(button);
+        });
+      });
+    })();
+  </script>`;
+}
+
+const DELIVERABLE_STATUS_LABELS = {
+  done: '✅ 完成',
+  'in-progress': '🔵 進行中',
+  pending: '📋 未開始',
+  untracked: '⚪ 未追蹤'
+};
+
+// 專案概覽：目標、關係人、交付項目與備註；docsHref 將 docs/ 下的檔案轉為相對於儀表板的連結
+function generateOverview(project, tasks, docs = {}, docsHref = file => file) {
+  const scope = project.scope || {};
+  const stakeholders = project.stakeholders || {};
+  const reviewers = toIdList(stakeholders.reviewers).filter(Boolean);
+  const deliverables = (Array.isArray(scope.deliverables) ? scope.deliverables : [])
+    .filter(item => item !== null && item !== '')
+    .map(item => getDeliverableProgress(item, tasks, docs.files || []));
+
+  const people = [
+    stakeholders.owner ? `<div><span class="overview-label">負責人</span>${escapeHtml(stakeholders.owner)}</div>` : '',
+    stakeholders.client ? `<div><span class="overview-label">客戶</span>${escapeHtml(stakeholders.client)}</div>` : '',
+    reviewers.length > 0 ? `<div><span class="overview-label">審核者</span>${reviewers.map(r => escapeHtml(r)).join('、')}</div>` : ''
+  ].join('');
+
+  const items = deliverables.map(d => {
+    const taskChips = d.linked.map(({ id, task }) => task
+      ? `<button type="button" class="link-chip task-link status-${statusClass(task.status)}" data-task="${escapeHtml(id)}">#${escapeHtml(id)} ${escapeHtml(task.title || '未命名任務')}</button>`
+      : `<span class="link-chip missing">#${escapeHtml(id)} 不存在</span>`).join('');
+    const fileChips = d.files.map(({ file, exists }) => exists
+      ? `<a class="link-chip file" href="${escapeHtml(docsHref(file))}">📄 ${escapeHtml(file)}</a>`
+      : `<span class="link-chip missing" title="docs/ 中尚無此檔案">📄 ${escapeHtml(file)}</span>`).join('');
+
+    return `
+          <li class="deliverable ${d.status}">
+            <div class="deliverable-header">
+              <span class="deliverable-title">${escapeHtml(d.title)}</span>
+              <span class="deliverable-status">${DELIVERABLE_STATUS_LABELS[d.status]}${d.total > 0 ? ` · ${d.completed}/${d.total}` : ''}</span>
+            </div>
+            ${taskChips || fileChips ? `<div class="link-list">${taskChips}${fileChips}</div>` : ''}
+            ${d.notes ? `<div class="deliverable-notes">${escapeHtml(d.notes)}</div>` : ''}
+          </li>`;
+  }).join('');
+
+  const done = deliverables.filter(d => d.status === 'done').length;
+  const budgetConfig = getBudgetConfig(project);
+  const budgetText = budgetConfig
+    ? formatAmount(budgetConfig.total, budgetConfig.currency)
+    : (typeof scope.budget === 'string' ? scope.budget : '');
+  const budget = budgetText
+    ? `<div class="overview-people"><div><span class="overview-label">預算</span>${escapeHtml(budgetText)}</div></div>`
+    : '';
+  const cards = [
+    scope.objective || budget ? `
+      <div class="overview-card">
+        <h3>目標</h3>
+        ${scope.objective ? `<p>${escapeHtml(scope.objective)}</p>` : ''}
+        ${budget}
+      </div>` : '',
+    people ? `
+      <div class="overview-card">
+        <h3>關係人</h3>
+        <div class="overview-people">${people}</div>
+      </div>` : '',
+    deliverables.length > 0 ? `
+      <div class="overview-card deliverables">
+        <h3>交付項目 <span class="column-count">${done}/${deliverables.length}</span></h3>
+        <ul class="deliverable-list">${items}
+        </ul>
+      </div>` : '',
+    project.notes ? `
+      <div class="overview-card">
+        <h3>備註</h3>
+        <p>${escapeHtml(project.notes)}</p>
+      </div>` : ''
+  ].filter(Boolean);
+
+  return cards.length > 0 ? `
+    <section class="overview">${cards.join('')}
+    </section>` : '';
+}
+
+// 生成 HTML；options.output 為儀表板輸出位置，用於產生 docs/ 檔案的相對連結
+function generateHtml(data, options = {}) {
+  const { tasks, milestones, project, decisions = [], meetings = [], taskHistory = [], docs = {} } = data;
+  const projectName = escapeHtml(project.project?.name || '專案管理儀表板');
+  const today = new Date().toISOString().split('T')[0];
+  const docsHref = file => (options.output && docs.dir
+    ? path.relative(path.dirname(options.output), path.join(docs.dir, file)).split(path.sep).join('/')
+    : file);
+
+  return `<!DOCTYPE html>
+<html lang="zh-TW">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${projectName} - 儀表板</title>
+  <style>
+${generateStyles()}  </style>
+  ${generateThemeScript()}
+</head>
+<body>
+  <div class="container">
+    <header>
+      <button type="button" id="theme-toggle" class="theme-toggle" title="切換深色／淺色主題">☀️ 淺色</button>
+      <h1>${projectName}</h1>
+      <div class="project-meta">
+        ${project.project?.type ? `<span>類型: ${escapeHtml(project.project.type)}</span>` : ''}
+        ${project.project?.status ? `<span>狀態: ${escapeHtml(project.project.status)}</span>` : ''}
+        ${project.project?.start_date ? `<span>開始: ${escapeHtml(project.project.start_date)}</span>` : ''}
+        ${project.project?.target_date ? `<span>預計完成: ${escapeHtml(project.project.target_date)}</span>` : ''}
+        <span>更新時間: ${today}</span>
+      </div>
+    </header>
+
+    ${generateOverview(project, tasks, docs, docsHref)}
+
+    <!-- Stats -->
+    <div class="stats">
+      <div class="stat-card">
+        <div class="stat-value">${tasks.length}</div>
+        <div class="stat-label">總任務數</div>
+      </div>
+      <div class="stat-card success">
+        <div class="stat-value">${tasks.filter(t => t.status === 'done').length}</div>
+        <div class="stat-label">已完成</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${tasks.filter(t => t.status === 'in-progress').length}</div>
+        <div class="stat-label">進行中</div>
+      </div>
+      <div class="stat-card danger">
+        <div class="stat-value">${tasks.filter(t => t.status === 'blocked').length}</div>
+        <div class="stat-label">阻塞中</div>
+      </div>
+      <div class="stat-card warning">
+        <div class="stat-value">${tasks.filter(t => t.due && t.due < today && t.status !== 'done').length}</div>
+        <div class="stat-label">已逾期</div>
+      </div>
+    </div>
+
+    ${generateHealthPanel(evaluateHealth(data, today))}
+
+    <!-- Tabs -->
+    <div class="tabs">
+      <button class="tab active" data-tab="kanban">看板</button>
+      <button class="tab" data-tab="timeline">時間軸</button>
+      <button class="tab" data-tab="gantt">甘特圖</button>
+      <button class="tab" data-tab="graph">依賴圖</button>
+      <button class="tab" data-tab="trends">趨勢</button>
+      <button class="tab" data-tab="members">成員</button>
+      <button class="tab" data-tab="budget">預算</button>
+      <button class="tab" data-tab="decisions">決策</button>
+      <button class="tab" data-tab="meetings">會議</button>
+    </div>
+
+    <!-- Kanban View -->
+    <div id="kanban" class="tab-content active">
+      <h3 class="print-only">任務看板</h3>
+      ${generateKanbanFilters(tasks)}
+      <div id="kanban-board">
+        <div class="kanban">
+          ${generateKanbanColumn('backlog', '📋 待辦', tasks, today)}
+          ${generateKanbanColumn('in-progress', '🔵 進行中', tasks, today)}
+          ${generateKanbanColumn('blocked', '🔴 阻塞', tasks, today)}
+          ${generateKanbanColumn('review', '🟡 審核中', tasks, today)}
+          ${generateKanbanColumn('done', '✅ 完成', tasks, today)}
+        </div>
+      </div>
+    </div>
+
+    <!-- Timeline View -->
+    <div id="timeline" class="tab-content">
+      <div class="timeline-container">
+        <h3 style="margin-bottom: 24px; font-size: 16px;">里程碑時間軸</h3>
+        ${generateTimeline(milestones, today, tasks)}
+      </div>
+    </div>
+
+    <!-- Gantt View -->
+    <div id="gantt" class="tab-content">
+      <div class="gantt-container">
+        <div class="gantt-header">
+          <h3>甘特圖</h3>
+        </div>
+        <div class="legend">
+          <div class="legend-item"><span class="legend-color" style="background: var(--text-secondary)"></span>待辦</div>
+          <div class="legend-item"><span class="legend-color" style="background: var(--accent-blue)"></span>進行中</div>
+          <div class="legend-item"><span class="legend-color" style="background: var(--accent-red)"></span>阻塞</div>
+          <div class="legend-item"><span class="legend-color" style="background: var(--accent-yellow)"></span>審核中</div>
+          <div class="legend-item"><span class="legend-color" style="background: var(--accent-green)"></span>完成</div>
+          <div class="legend-item"><span class="legend-color" style="background: var(--accent-purple)"></span>里程碑</div>
+        </div>
+        ${generateGanttChart(tasks, milestones, today, project)}
+      </div>
+    </div>
+
+    <!-- Dependency Graph View -->
+    <div id="graph" class="tab-content">
+      <div class="graph-container">
+        <h3>任務依賴圖</h3>
+        ${generateDependencyGraph(tasks, milestones)}
+      </div>
+    </div>
+
+    <!-- Trends View -->
+    <div id="trends" class="tab-content">
+      ${generateTrends(tasks, taskHistory, project, today)}
+    </div>
+
+    <!-- Members View -->
+    <div id="members" class="tab-content">
+      ${generateMembers(tasks, project, today)}
+    </div>
+
+    <!-- Budget View -->
+    <div id="budget" class="tab-content">
+      ${generateBudget(tasks, milestones, project, today)}
+    </div>
+
+    <!-- Decisions View -->
+    <div id="decisions" class="tab-content">
+      <div class="decisions-container">
+        <div class="decisions-toolbar">
+          <h3>決策記錄</h3>
+          <input type="search" id="decision-search" class="search-input" placeholder="搜尋決策...">
+        </div>
+        ${generateDecisions(decisions, tasks, milestones)}
+      </div>
+    </div>
+
+    <!-- Meetings View -->
+    <div id="meetings" class="tab-content">
+      <div class="meetings-container">
+        <h3>會議記錄</h3>
+        ${generateMeetings(meetings, tasks)}
+      </div>
+    </div>
+  </div>
+${generateTaskDrawer(tasks, milestones, decisions, meetings)}
+
+  <script>
+    // Tab switching
+    document.querySelectorAll('.tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+        document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+
+        tab.classList.add('active');
+        document.getElementById(tab.dataset.tab).classList.add('active');
+      });
+    });
+
+    // Kanban filters & swimlanes（狀態保存在網址 hash，可分享篩選後的連結）
+    const kanbanBoard = document.getElementById('kanban-board');
+    const kanbanColumns = [...kanbanBoard.querySelectorAll('.kanban-column')].map(column => ({
+      status: column.dataset.status,
+      title: column.querySelector('h3').textContent
+    }));
+    const kanbanCards = [...kanbanBoard.querySelectorAll('.task-card')];
+    const kanbanControls = {
+      q: document.getElementById('kanban-search'),
+      assignee: document.getElementById('filter-assignee'),
+      priority: document.getElementById('filter-priority'),
+      tag: document.getElementById('filter-tag'),
+      overdue: document.getElementById('filter-overdue'),
+      group: document.getElementById('kanban-group')
+    };
+
+    const readKanbanState = () => ({
+      q: kanbanControls.q.value.trim(),
+      assignee: kanbanControls.assignee.value,
+      priority: kanbanControls.priority.value,
+      tag: kanbanControls.tag.value,
+      overdue: kanbanControls.overdue.checked,
+      group: kanbanControls.group.value
+    });
+
+    const loadKanbanState = () => {
+      const params = new URLSearchParams(location.hash.slice(1));
+      kanbanControls.q.value = params.get('q') || '';
+      ['assignee', 'priority', 'tag', 'group'].forEach(key => {
+        const select = kanbanControls[key];
+        const value = params.get(key) || '';
+        select.value = [...select.options].some(o => o.value === value) ? value : '';
+      });
+      kanbanControls.overdue.checked = params.get('overdue') === '1';
+    };
+
+    // 以 location.replace 更新 hash：不新增瀏覽紀錄，直接開啟本機檔案（file://）時也可用
+    let kanbanHash = location.hash.slice(1);
+    const saveKanbanState = state => {
+      const params = new URLSearchParams();
+      Object.keys(state).forEach(key => {
+        if (state[key]) params.set(key, state[key] === true ? '1' : state[key]);
+      });
+      kanbanHash = params.toString();
+      if (location.hash.slice(1) !== kanbanHash) location.replace('#' + kanbanHash);
+    };
+
+    const matchesKanban = (card, state) => {
+      if (state.q && !card.dataset.search.includes(state.q.toLowerCase())) return false;
+      if (state.assignee === '__none__' && card.dataset.assignee) return false;
+      if (state.assignee && state.assignee !== '__none__' && card.dataset.assignee !== state.assignee) return false;
+      if (state.priority && card.dataset.priority !== state.priority) return false;
+      if (state.tag && !JSON.parse(card.dataset.tags).includes(state.tag)) return false;
+      if (state.overdue && card.dataset.overdue !== 'true') return false;
+      return true;
+    };
+
+    const createKanbanGrid = cards => {
+      const grid = document.createElement('div');
+      grid.className = 'kanban';
+      kanbanColumns.forEach(({ status, title }) => {
+        const columnCards = cards.filter(card => card.dataset.status === status);
+        const column = document.createElement('div');
+        column.className = 'kanban-column';
+        column.dataset.status = status;
+        column.innerHTML = '<div class="column-header"><h3></h3><span class="column-count"></span></div>';
+        column.querySelector('h3').textContent = title;
+        column.querySelector('.column-count').textContent = columnCards.length;
+        columnCards.forEach(card => column.appendChild(card));
+        if (columnCards.length === 0) {
+          column.insertAdjacentHTML('beforeend', '<div class="empty-state">尚無任務</div>');
+        }
+        grid.appendChild(column);
+      });
+      return grid;
+    };
+
+    const renderKanban = () => {
+      const state = readKanbanState();
+      const visible = kanbanCards.filter(card => matchesKanban(card, state));
+      kanbanBoard.innerHTML = '';
+
+      if (state.group) {
+        const order = state.group === 'priority' ? ['P0', 'P1', 'P2'] : [];
+        const lanes = [...new Set(visible.map(card => card.dataset[state.group]))].sort((a, b) => {
+          if (!a) return 1;
+          if (!b) return -1;
+          const rank = value => order.includes(value) ? order.indexOf(value) : order.length;
+          return rank(a) - rank(b) || a.localeCompare(b);
+        });
+        lanes.forEach(value => {
+          const laneCards = visible.filter(card => card.dataset[state.group] === value);
+          const lane = document.createElement('div');
+          lane.className = 'kanban-lane';
+          lane.innerHTML = '<div class="lane-header"><span></span><span class="column-count"></span></div>';
+          const label = state.group === 'assignee' ? (value ? '@' + value : '未指派') : (value || '未設定優先級');
+          lane.querySelector('span').textContent = label;
+          lane.querySelector('.column-count').textContent = laneCards.length;
+          lane.appendChild(createKanbanGrid(laneCards));
+          kanbanBoard.appendChild(lane);
+        });
+        if (lanes.length === 0) {
+          kanbanBoard.innerHTML = '<div class="empty-state">沒有符合條件的任務</div>';
+        }
+      } else {
+        kanbanBoard.appendChild(createKanbanGrid(visible));
+      }
+
+      document.getElementById('filter-summary').textContent = visible.length === kanbanCards.length
+        ? '共 ' + kanbanCards.length + ' 個任務'
+        : '顯示 ' + visible.length + ' / ' + kanbanCards.length + ' 個任務';
+      saveKanbanState(state);
+    };
+
+    Object.values(kanbanControls).forEach(control => {
+      control.addEventListener(control.type === 'search' ? 'input' : 'change', renderKanban);
+    });
+    window.addEventListener('hashchange', () => {
+      if (location.hash.slice(1) === kanbanHash) return;
+      loadKanbanState();
+      renderKanban();
+    });
+    loadKanbanState();
+    renderKanban();
+
+    // 成員分頁：點擊成員名稱切換到看板並篩選該成員
+    document.querySelectorAll('.member-link').forEach(link => {
+      link.addEventListener('click', () => {
+        kanbanControls.assignee.value = link.dataset.assignee;
+        renderKanban();
+        document.querySelector('.tab[data-tab="kanban"]').click();
+      });
+    });
+
+    // Task detail drawer
+    const drawer = document.getElementById('task-drawer');
+    const drawerOverlay = document.getElementById('drawer-overlay');
+    const openTask = id => {
+      let found = false;
+      drawer.querySelectorAll('.task-detail').forEach(detail => {
+        detail.hidden = detail.dataset.task !== id;
+        if (!detail.hidden) found = true;
+      });
+      if (!found) return;
+      drawer.classList.add('open');
+      drawer.setAttribute('aria-hidden', 'false');
+      drawerOverlay.hidden = false;
+      drawer.scrollTop = 0;
+    };
+    const closeDrawer = () => {
+      drawer.classList.remove('open');
+      drawer.setAttribute('aria-hidden', 'true');
+      drawerOverlay.hidden = true;
+    };
+    document.addEventListener('click', event => {
+      const target = event.target.closest('.task-card[data-task], .task-link[data-task]');
+      if (target) openTask(target.dataset.task);
+    });
+    document.getElementById('drawer-close').addEventListener('click', closeDrawer);
+    drawerOverlay.addEventListener('click', closeDrawer);
+    document.addEventListener('keydown', event => {
+      if (event.key === 'Escape') closeDrawer();
+    });
+
+    // Critical path highlight
+    const criticalSelect = document.getElementById('critical-select');
+    const highlightCritical = () => {
+      const selected = criticalSelect ? criticalSelect.value : 'none';
+      document.querySelectorAll('.graph-node, .graph-edge').forEach(el => {
+        const keys = el.dataset.critical ? el.dataset.critical.split(' ') : [];
+        const active = selected === 'all' ? keys.length > 0 : keys.includes(selected);
+        el.classList.toggle('critical', active);
+      });
+    };
+    if (criticalSelect) criticalSelect.addEventListener('change', highlightCritical);
+    highlightCritical();
+
+    // Decision search
+    const decisionSearch = document.getElementById('decision-search');
+    decisionSearch.addEventListener('input', () => {
+      const keyword = decisionSearch.value.trim().toLowerCase();
+      let visible = 0;
+      document.querySelectorAll('.decision-card').forEach(card => {
+        const match = !keyword || card.dataset.search.includes(keyword);
+        card.style.display = match ? '' : 'none';
+        if (match) visible++;
+      });
+      const noResult = document.getElementById('decision-no-result');
+      if (noResult) noResult.style.display = visible === 0 ? '' : 'none';
+    });
+  </script>
+</body>
+</html>`;
+}
+
+// 看板篩選列：成員、優先級、標籤、只看逾期、全文搜尋與泳道分組
+function generateKanbanFilters(tasks) {
+  const assignees = [...new Set(tasks.map(t => t.assignee).filter(Boolean).map(String))].sort();
+  const tags = [...new Set(tasks.flatMap(t => toIdList(t.tags)).map(String))].sort();
+  const option = (value, label = value) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+
+  return `
+      <div class="kanban-toolbar">
+        <input type="search" id="kanban-search" class="search-input" placeholder="搜尋標題與備註...">
+        <select id="filter-assignee" aria-label="成員">
+          <option value="">所有成員</option>
+          ${assignees.map(name => option(name, `@${name}`)).join('')}
+          <option value="__none__">未指派</option>
+        </select>
+        <select id="filter-priority" aria-label="優先級">
+          <option value="">所有優先級</option>
+          ${PRIORITIES.map(p => option(p)).join('')}
+        </select>
+        <select id="filter-tag" aria-label="標籤">
+          <option value="">所有標籤</option>
+          ${tags.map(tag => option(tag, `#${tag}`)).join('')}
+        </select>
+        <label class="filter-check"><input type="checkbox" id="filter-overdue"> 只看逾期</label>
+        <select id="kanban-group" aria-label="泳道">
+          <option value="">不分泳道</option>
+          <option value="assignee">依成員分泳道</option>
+          <option value="priority">依優先級分泳道</option>
+        </select>
+        <span id="filter-summary" class="filter-summary"></span>
+      </div>
+  `;
+}
+
+function generateKanbanColumn(status, title, tasks, today) {
+  const columnTasks = tasks.filter(t => t.status === status);
+
+  const cards = columnTasks.length > 0
+    ? columnTasks.map(task => {
+        const isOverdue = task.due && task.due < today && task.status !== 'done';
+        // 詳細資訊面板、看板篩選與分組使用的資料
+        const filterData = [
+          `data-task="${escapeHtml(task.id)}"`,
+          `data-status="${escapeHtml(task.status)}"`,
+          `data-assignee="${escapeHtml(task.assignee || '')}"`,
+          `data-priority="${escapeHtml(task.priority || '')}"`,
+          `data-tags="${escapeHtml(JSON.stringify(toIdList(task.tags).map(String)))}"`,
+          `data-overdue="${isOverdue ? 'true' : 'false'}"`,
+          `data-search="${escapeHtml(`${task.title || ''} ${task.notes || ''}`.toLowerCase())}"`
+        ].join(' ');
+        return `
+          <div class="task-card" ${filterData}>
+            <div class="task-title">${escapeHtml(task.title || '未命名任務')}</div>
+            <div class="task-meta">
+              ${task.priority ? `<span class="priority ${priorityClass(task.priority)}">${escapeHtml(task.priority)}</span>` : ''}
+              ${task.due ? `<span class="due-date ${isOverdue ? 'overdue' : ''}">${escapeHtml(task.due)}</span>` : ''}
+              ${task.assignee ? `<span class="assignee">@${escapeHtml(task.assignee)}</span>` : ''}
+              ${toIdList(task.blocked_by).length > 0 ? `<span class="blocked-by" title="等待這些任務完成">⛔ ${toIdList(task.blocked_by).map(id => `#${escapeHtml(id)}`).join(' ')}</span>` : ''}
+            </div>
+          </div>
+        `;
+      }).join('')
+    : '<div class="empty-state">尚無任務</div>';
+
+  return `
+    <div class="kanban-column" data-status="${escapeHtml(status)}">
+      <div class="column-header">
+        <h3>${escapeHtml(title)}</h3>
+        <span class="column-count">${columnTasks.length}</span>
+      </div>
+      ${cards}
+    </div>
+  `;
+}
+
+// 健康度面板：依規則分組列出問題，任務編號可開啟詳細資訊
+function generateHealthPanel(findings) {
+  const errors = findings.filter(f => f.level === 'error').length;
+  const summary = findings.length === 0
+    ? '✅ 沒有發現問題'
+    : `${errors} 個錯誤、${findings.length - errors} 個警告`;
+
+  const groups = HEALTH_RULES.map(rule => {
+    const matched = findings.filter(f => f.rule === rule.key);
+    if (matched.length === 0) return '';
+    return `
+      <div class="health-group ${rule.level}">
+        <div class="health-rule">${rule.level === 'error' ? '🔴' : '🟡'} ${escapeHtml(rule.label)} <span class="column-count">${matched.length}</span></div>
+        <ul>
+          ${matched.map(f => `<li>${f.task !== undefined
+            ? `<button type="button" class="link-chip task-link" data-task="${escapeHtml(f.task)}">#${escapeHtml(f.task)}</button> `
+            : ''}${escapeHtml(f.message)}</li>`).join('')}
+        </ul>
+      </div>`;
+  }).join('');
+
+  return `
+    <section class="health-panel${errors > 0 ? ' has-errors' : findings.length > 0 ? ' has-warnings' : ''}">
+      <div class="health-header">
+        <h3>健康度</h3>
+        <span class="health-summary">${summary}</span>
+      </div>
+      ${groups}
+    </section>`;
+}
+
+// 任務詳細資訊面板：每個任務一個隱藏區塊，點擊任務卡片時顯示
+function generateTaskDrawer(tasks, milestones, decisions, meetings) {
+  const { dependents } = analyzeDependencies(tasks, milestones);
+  const sameId = (a, b) => String(a) === String(b);
+  const taskLink = id => {
+    const task = tasks.find(t => sameId(t.id, id));
+    return task
+      ? `<button type="button" class="link-chip task-link" data-task="${escapeHtml(task.id)}">#${escapeHtml(task.id)} ${escapeHtml(task.title || '未命名任務')}</button>`
+      : `<span class="link-chip missing" title="找不到此任務">#${escapeHtml(id)}</span>`;
+  };
+  const formatValue = value => {
+    if (value === null || value === undefined || value === '') return '<span class="drawer-empty">—</span>';
+    if (Array.isArray(value)) return value.length > 0 ? value.map(escapeHtml).join(', ') : '<span class="drawer-empty">—</span>';
+    if (typeof value === 'object') return escapeHtml(JSON.stringify(value));
+    return escapeHtml(value);
+  };
+  const section = (title, items) => `
+        <div class="drawer-section">
+          <h4>${title}</h4>
+          ${items.length > 0 ? `<div class="link-list">${items.join('')}</div>` : '<div class="drawer-empty">無</div>'}
+        </div>`;
+
+  const details = tasks.map(task => {
+    const mentions = new RegExp(`#${String(task.id).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w-])`);
+    const mentioned = value => toIdList(value).some(v => typeof v === 'string' && mentions.test(v));
+
+    const fields = [
+      ...Object.keys(TASK_FIELD_LABELS).filter(key => key !== 'notes'),
+      ...Object.keys(task).filter(key => !(key in TASK_FIELD_LABELS))
+    ].map(key => {
+      let value = formatValue(task[key]);
+      if (key === 'status' && TASK_STATUS_LABELS[task.status]) value = TASK_STATUS_LABELS[task.status];
+      if (key === 'blocked_by') value = toIdList(task.blocked_by).map(id => `#${escapeHtml(id)}`).join(', ') || value;
+      if (key === 'tags') value = toIdList(task.tags).map(tag => `#${escapeHtml(tag)}`).join(' ') || value;
+      return `<dt>${escapeHtml(TASK_FIELD_LABELS[key] || key)}</dt><dd>${value}</dd>`;
+    }).join('');
+
+    const inMilestones = milestones
+      .filter(m => toIdList(m.tasks).some(id => sameId(id, task.id)))
+      .map(m => `<span class="link-chip milestone">🎯 ${escapeHtml(m.title || '未命名里程碑')}${m.due ? ` · ${escapeHtml(m.due)}` : ''}</span>`);
+    const blockedBy = toIdList(task.blocked_by).map(taskLink);
+    const blocks = (dependents.get(task.id) || []).map(taskLink);
+
+    const relatedDecisions = decisions
+      .filter(d => toIdList(d.tasks).some(id => sameId(id, task.id)) ||
+        [d.title, d.context, d.decision, d.impact].some(mentioned))
+      .map(d => `<span class="link-chip">${d.id !== undefined && d.id !== null ? `D${escapeHtml(String(d.id).padStart(3, '0'))} ` : ''}${escapeHtml(d.title || '未命名決策')}</span>`);
+    const relatedMeetings = meetings
+      .filter(m => m.tasks.some(id => sameId(id, task.id)) ||
+        m.action_items.some(item => findActionItemTask(item, tasks) === task) ||
+        mentioned(m.title))
+      .map(m => `<span class="link-chip">📝 ${escapeHtml(m.date || '日期未定')} ${escapeHtml(m.title)}</span>`);
+
+    return `
+      <div class="task-detail" data-task="${escapeHtml(task.id)}" hidden>
+        <h3>#${escapeHtml(task.id)} ${escapeHtml(task.title || '未命名任務')}</h3>
+        <dl class="drawer-fields">${fields}</dl>
+        <div class="drawer-section">
+          <h4>備註</h4>
+          ${task.notes ? `<div class="drawer-notes">${escapeHtml(task.notes)}</div>` : '<div class="drawer-empty">無</div>'}
+        </div>
+        ${section('所屬里程碑', inMilestones)}
+        ${section('等待（被這些任務阻塞）', blockedBy)}
+        ${section('阻塞了這些任務', blocks)}
+        ${section('相關決策', relatedDecisions)}
+        ${section('相關會議', relatedMeetings)}
+      </div>`;
+  }).join('');
+
+  return `
+  <div id="drawer-overlay" class="drawer-overlay" hidden></div>
+  <aside id="task-drawer" class="drawer" aria-hidden="true">
+    <button type="button" id="drawer-close" class="drawer-close" aria-label="關閉">✕</button>
+    ${details}
+  </aside>`;
+}
+
+function generateTimeline(milestones, today, tasks = []) {
+  if (!milestones || milestones.length === 0) {
+    return '<div class="empty-state">尚未設定里程碑</div>';
+  }
+
+  const sorted = [...milestones].sort((a, b) => {
+    if (!a.due) return 1;
+    if (!b.due) return -1;
+    return a.due.localeCompare(b.due);
+  });
+  const throughput = getRecentThroughput(tasks, today);
+
+  return `
+    <div class="timeline">
+      ${sorted.map(m => {
+        const progress = getMilestoneProgress(m, tasks);
+        const isAchieved = progress.status === 'achieved';
+        const isOverdue = m.due && m.due < today && !isAchieved;
+        const itemClass = isAchieved ? 'achieved' : (isOverdue ? 'overdue' : '');
+        const percent = progress.total > 0 ? Math.round(progress.done / progress.total * 100) : 0;
+
+        const taskChips = progress.linked.map(({ id, task }) => task
+          ? `<button type="button" class="link-chip task-link status-${statusClass(task.status)}" data-task="${escapeHtml(task.id)}" title="${escapeHtml(TASK_STATUS_LABELS[task.status] || task.status || '')}">#${escapeHtml(id)} ${escapeHtml(task.title || '未命名任務')}</button>`
+          : `<span class="link-chip missing" title="找不到此任務">#${escapeHtml(id)}</span>`);
+
+        // 依最近的完成速度推估剩餘任務的完成日
+        let forecast = '';
+        if (!isAchieved && progress.remaining > 0) {
+          if (throughput.perDay > 0) {
+            const date = addDays(today, Math.ceil(progress.remaining / throughput.perDay));
+            const late = m.due && date > m.due;
+            forecast = `<span class="${late ? 'milestone-warning' : ''}">預計完成 ${date}${late ? '（晚於截止日）' : ''}</span>`;
+          } else {
+            forecast = `<span>近 ${throughput.days} 天沒有完成的任務，無法預估完成日</span>`;
+          }
+        }
+
+        const warnings = [];
+        if (progress.lateTasks.length > 0) {
+          warnings.push(`⚠ 任務 ${progress.lateTasks.map(t => `#${escapeHtml(t.id)}（${escapeHtml(t.due)}）`).join('、')}的截止日晚於里程碑`);
+        }
+        if (progress.mismatch) {
+          warnings.push(`⚠ 手動設定為「${MILESTONE_STATUS_LABELS[m.status]}」，但依關聯任務應為「${MILESTONE_STATUS_LABELS[progress.derivedStatus]}」`);
+        }
+
+        return `
+          <div class="timeline-item ${itemClass}">
+            <div class="timeline-date">${escapeHtml(m.due || '日期未定')}</div>
+            <div class="timeline-title">${escapeHtml(m.title || '未命名里程碑')}</div>
+            ${progress.linked.length > 0 ? `
+            <div class="milestone-progress">
+              <span class="progress-bar"><span class="progress-fill" style="width: ${percent}%"></span></span>
+              ${progress.done} / ${progress.total} 完成
+              ${forecast}
+            </div>
+            <div class="link-list timeline-tasks">${taskChips.join('')}</div>` : ''}
+            ${warnings.map(w => `<div class="milestone-warning">${w}</div>`).join('')}
+          </div>
+        `;
+      }).join('')}
+    </div>
+    ${throughput.perDay > 0 ? `<div class="graph-note">預估依近 ${throughput.days} 天完成 ${throughput.completed} 個任務的速度計算</div>` : ''}
+  `;
+}
+
+function generateGanttChart(tasks, milestones, today, project) {
+  // 收集所有日期來計算範圍
+  const allDates = [];
+  const schedules = new Map();
+
+  tasks.forEach(t => {
+    const schedule = getTaskSchedule(t);
+    if (!schedule) return;
+    schedules.set(t, schedule);
+    allDates.push(schedule.start, schedule.end);
+  });
+
+  milestones.forEach(m => {
+    if (isValidDate(m.due)) allDates.push(m.due);
+  });
+
+  // 專案日期也納入範圍，任務都還沒排程時仍可顯示時間軸
+  [project.project?.start_date, project.project?.target_date].forEach(date => {
+    if (isValidDate(date)) allDates.push(date);
+  });
+
+  if (tasks.length === 0 && milestones.length === 0) {
+    return '<div class="empty-state">尚無任務或里程碑資料可顯示</div>';
+  }
+
+  // 沒有 due 的任務放在未排程區
+  const unscheduled = tasks.filter(t => !schedules.has(t));
+  const unscheduledLane = unscheduled.length > 0 ? `
+    <div class="gantt-lane-title">未排程（${unscheduled.length}）</div>
+    <div class="gantt-unscheduled">
+      ${unscheduled.map(task => `
+        <span class="gantt-chip ${statusClass(task.status)}" title="${escapeHtml(task.status || '')}">
+          ${escapeHtml(task.title || '未命名')}${task.estimate ? ` · ${escapeHtml(task.estimate)} 天` : ''}
+        </span>
+      `).join('')}
+    </div>
+  ` : '';
+
+  // 沒有任何日期資料時只列出未排程的任務
+  if (allDates.length === 0) {
+    return `
+      <div class="gantt-chart">
+        <div class="empty-state">任務、里程碑與專案都沒有日期，設定 due 或 start_date / target_date 後即可顯示時間軸</div>
+        ${unscheduledLane}
+      </div>
+    `;
+  }
+
+  // 有日期資料：按時間顯示
+  const sortedDates = allDates.sort();
+  let startDate = new Date(sortedDates[0]);
+  // 最後一天的 bar 畫到當天結束
+  let endDate = new Date(addDays(sortedDates[sortedDates.length - 1], 1));
+
+  // 確保有足夠的時間範圍
+  const rangeMs = endDate - startDate;
+  const minRangeMs = 14 * DAY_MS; // 最少 14 天
+  if (rangeMs < minRangeMs) {
+    startDate = new Date(startDate.getTime() - 7 * DAY_MS);
+    endDate = new Date(endDate.getTime() + 7 * DAY_MS);
+  } else {
+    // 前後各擴展 5%
+    const padding = rangeMs * 0.05;
+    startDate = new Date(startDate.getTime() - padding);
+    endDate = new Date(endDate.getTime() + padding);
+  }
+
+  const totalMs = endDate - startDate;
+  const position = date => ((new Date(date) - startDate) / totalMs) * 100;
+  const todayPosition = Math.max(0, Math.min(100, position(today)));
+
+  const rows = [];
+  const barPositions = new Map();
+
+  // 按開始日期排序任務，其次為 due
+  const sortedTasks = [...schedules.keys()].sort((a, b) => {
+    const sa = schedules.get(a);
+    const sb = schedules.get(b);
+    return sa.start.localeCompare(sb.start) || sa.end.localeCompare(sb.end);
+  });
+
+  sortedTasks.forEach((task, index) => {
+    const { start, end } = schedules.get(task);
+    // bar 從開始日畫到 due 當天結束
+    const left = Math.max(0, position(start));
+    const right = Math.min(100, position(addDays(end, 1)));
+    const width = Math.max(0.5, right - left);
+    barPositions.set(task.id, { row: index, left, right: left + width });
+
+    const range = start === end ? end : `${start} → ${end}`;
+    rows.push(`
+      <div class="gantt-row">
+        <div class="gantt-label" title="${escapeHtml(task.title)}">${escapeHtml(task.title || '未命名')}</div>
+        <div class="gantt-bars">
+          <div class="gantt-bar ${statusClass(task.status)}" style="left: ${left}%; width: ${width}%" title="${escapeHtml(range)}">
+            ${escapeHtml(task.priority || '')}
+          </div>
+        </div>
+      </div>
+    `);
+  });
+
+  // 里程碑
+  milestones.forEach(m => {
+    if (!isValidDate(m.due)) return;
+
+    const left = position(m.due);
+
+    rows.push(`
+      <div class="gantt-row">
+        <div class="gantt-label" title="${escapeHtml(m.title)}">🎯 ${escapeHtml(m.title || '未命名')}</div>
+        <div class="gantt-bars">
+          <div class="gantt-bar milestone" style="left: ${Math.max(0, left - 1)}%; width: 2%"></div>
+        </div>
+      </div>
+    `);
+  });
+
+  // blocked_by 依賴箭頭：從前置任務的結束點連到後續任務的開始點
+  const ROW_HEIGHT = 44;
+  const arrows = [];
+  sortedTasks.forEach(task => {
+    const to = barPositions.get(task.id);
+    toIdList(task.blocked_by).forEach(ref => {
+      const from = barPositions.get(ref);
+      if (!from) return;
+      const y1 = from.row * ROW_HEIGHT + 18;
+      const y2 = to.row * ROW_HEIGHT + 18;
+      // 後續任務在前置任務結束前就開始，以紅色標示
+      const conflict = to.left < from.right - 0.01;
+      const cls = `gantt-arrow${conflict ? ' conflict' : ''}`;
+      arrows.push(`
+        <g class="${cls}">
+          <title>#${escapeHtml(ref)} → #${escapeHtml(task.id)}${conflict ? '（開始早於前置任務結束）' : ''}</title>
+          <line x1="${from.right}%" y1="${y1}" x2="${from.right}%" y2="${y2}"/>
+          <line x1="${from.right}%" y1="${y2}" x2="${to.left}%" y2="${y2}" marker-end="url(#gantt-arrowhead)"/>
+        </g>
+      `);
+    });
+  });
+
+  // 生成時間刻度標籤
+  const totalDays = Math.ceil(totalMs / DAY_MS);
+  const tickCount = Math.min(6, Math.max(3, Math.floor(totalDays / 7)));
+  const tickInterval = totalMs / tickCount;
+
+  let timeScale = '<div class="gantt-scale">';
+  for (let i = 0; i <= tickCount; i++) {
+    const tickDate = new Date(startDate.getTime() + tickInterval * i);
+    const label = `${tickDate.getMonth() + 1}/${tickDate.getDate()}`;
+    const pos = (i / tickCount) * 100;
+    timeScale += `<span style="left: ${pos}%">${label}</span>`;
+  }
+  timeScale += '</div>';
+
+  return `
+    <div class="gantt-chart">
+      ${timeScale}
+      <div class="gantt-rows">
+        <div class="gantt-overlay">
+          <div class="gantt-today" style="left: ${todayPosition}%"></div>
+          <svg class="gantt-arrows" height="${rows.length * ROW_HEIGHT}">
+            <defs>
+              <marker id="gantt-arrowhead" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z"/>
+              </marker>
+            </defs>
+            ${arrows.join('')}
+          </svg>
+        </div>
+        ${rows.join('')}
+      </div>
+      ${unscheduledLane}
+    </div>
+  `;
+}
+
+function generateDecisions(decisions, tasks, milestones) {
+  if (!decisions || decisions.length === 0) {
+    return '<div class="empty-state">尚無決策記錄</div>';
+  }
+
+  // 依日期排序，未填日期者排最後
+  const sorted = [...decisions].sort((a, b) => {
+    if (!a.date) return 1;
+    if (!b.date) return -1;
+    return String(a.date).localeCompare(String(b.date));
+  });
+
+  const cards = sorted.map(d => {
+    const alternatives = toIdList(d.alternatives);
+    const decisionId = d.id !== undefined && d.id !== null ? `D${String(d.id).padStart(3, '0')}` : '';
+
+    // 關聯的任務與里程碑
+    const taskLinks = toIdList(d.tasks).map(id => {
+      const task = tasks.find(t => t.id === id);
+      return task
+        ? `<span class="link-chip" title="${escapeHtml(task.status || '')}">#${escapeHtml(id)} ${escapeHtml(task.title || '未命名任務')}</span>`
+        : `<span class="link-chip missing" title="找不到此任務">#${escapeHtml(id)}</span>`;
+    });
+    const milestoneLinks = toIdList(d.milestones).map(id => {
+      const milestone = milestones.find(m => m.id === id);
+      return milestone
+        ? `<span class="link-chip milestone">🎯 ${escapeHtml(milestone.title || '未命名里程碑')}</span>`
+        : `<span class="link-chip missing" title="找不到此里程碑">🎯 ${escapeHtml(id)}</span>`;
+    });
+    const links = [...taskLinks, ...milestoneLinks];
+
+    const searchText = [
+      decisionId, d.title, d.context, d.decision, d.decided_by, d.impact, ...alternatives
+    ].filter(Boolean).join(' ').toLowerCase();
+
+    return `
+      <div class="decision-card" data-search="${escapeHtml(searchText)}">
+        <div class="decision-header">
+          ${decisionId ? `<span class="decision-id">${escapeHtml(decisionId)}</span>` : ''}
+          <span class="decision-title">${escapeHtml(d.title || '未命名決策')}</span>
+          <span class="decision-meta">${escapeHtml(d.date || '日期未定')}${d.decided_by ? ` · ${escapeHtml(d.decided_by)}` : ''}</span>
+        </div>
+        ${d.context ? `<div class="decision-field"><div class="decision-field-label">背景</div>${escapeHtml(d.context)}</div>` : ''}
+        ${d.decision ? `<div class="decision-field"><div class="decision-field-label">決定</div>${escapeHtml(d.decision)}</div>` : ''}
+        ${alternatives.length > 0 ? `
+          <div class="decision-field">
+            <div class="decision-field-label">其他選項</div>
+            <ul>${alternatives.map(a => `<li>${escapeHtml(a)}</li>`).join('')}</ul>
+          </div>` : ''}
+        ${d.impact ? `<div class="decision-field"><div class="decision-field-label">影響</div>${escapeHtml(d.impact)}</div>` : ''}
+        ${links.length > 0 ? `<div class="link-list">${links.join('')}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  return `
+    ${cards}
+    <div id="decision-no-result" class="empty-state" style="display: none">找不到符合的決策</div>
+  `;
+}
+
+function generateMeetings(meetings, tasks) {
+  if (!meetings || meetings.length === 0) {
+    return '<div class="empty-state">尚無會議記錄</div>';
+  }
+
+  const sorted = [...meetings].sort((a, b) => {
+    if (!a.date) return 1;
+    if (!b.date) return -1;
+    return String(a.date).localeCompare(String(b.date));
+  });
+
+  let untracked = 0;
+
+  const cards = sorted.map(m => {
+    const relatedTasks = m.tasks.map(id => {
+      const task = tasks.find(t => t.id === id);
+      return task
+        ? `<span class="link-chip" title="${escapeHtml(task.status || '')}">#${escapeHtml(id)} ${escapeHtml(task.title || '未命名任務')}</span>`
+        : `<span class="link-chip missing" title="找不到此任務">#${escapeHtml(id)}</span>`;
+    });
+
+    const actionItems = m.action_items.map(item => {
+      const task = findActionItemTask(item, tasks);
+      if (!task) untracked++;
+
+      return `
+        <li>
+          <span>${escapeHtml(item.title || '未命名事項')}</span>
+          ${item.assignee ? `<span class="assignee">@${escapeHtml(item.assignee)}</span>` : ''}
+          ${item.due ? `<span class="action-item-meta">${escapeHtml(item.due)}</span>` : ''}
+          ${task
+            ? `<span class="link-chip" title="${escapeHtml(task.status || '')}">#${escapeHtml(task.id)} ${escapeHtml(task.title || '未命名任務')}</span>`
+            : '<span class="action-item-flag">⚠ 未建立任務</span>'}
+        </li>
+      `;
+    });
+
+    return `
+      <div class="meeting-card">
+        <div class="meeting-header">
+          <span class="meeting-date">${escapeHtml(m.date || '日期未定')}</span>
+          <span class="meeting-title">${escapeHtml(m.title)}</span>
+          <span class="meeting-file">${escapeHtml(m.file)}</span>
+        </div>
+        ${m.attendees.length > 0 ? `<div class="meeting-attendees">${m.attendees.map(a => `@${escapeHtml(a)}`).join(' ')}</div>` : ''}
+        ${relatedTasks.length > 0 ? `<div class="link-list">${relatedTasks.join('')}</div>` : ''}
+        ${actionItems.length > 0 ? `<ul class="action-items">${actionItems.join('')}</ul>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  const warning = untracked > 0
+    ? `<div class="meeting-warning">⚠ 有 ${untracked} 個會議待辦事項尚未在 tasks.md 建立對應任務</div>`
+    : '';
+
+  return warning + cards;
+}
+
+function generateDependencyGraph(tasks, milestones) {
+  const analysis = analyzeDependencies(tasks, milestones);
+  const { edges, missing, cycles, cycleEdges, depth, criticalPaths } = analysis;
+
+  // 只畫出有依賴關係（或參照錯誤）的任務
+  const involved = new Set();
+  edges.forEach(e => {
+    involved.add(e.from);
+    involved.add(e.to);
+  });
+  missing.forEach(m => involved.add(m.task));
+  const nodes = tasks.filter(t => involved.has(t.id));
+
+  const issues = [
+    ...cycles.map(cycle => `🔁 循環依賴: ${cycle.map(id => `#${escapeHtml(id)}`).join(' → ')}`),
+    ...missing.map(m => `❓ 任務 #${escapeHtml(m.task)} 的 blocked_by 指向不存在的任務 #${escapeHtml(m.ref)}`)
+  ];
+  const issuesHtml = issues.length > 0
+    ? `<ul class="graph-issues">${issues.map(i => `<li>${i}</li>`).join('')}</ul>`
+    : '';
+
+  if (nodes.length === 0) {
+    return `${issuesHtml}<div class="empty-state">尚無任務依賴關係（blocked_by）</div>`;
+  }
+
+  // 每個節點所屬的關鍵路徑（里程碑 ID）
+  const criticalNodes = new Map();
+  const criticalEdges = new Map();
+  const mark = (map, key, milestoneKey) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(milestoneKey);
+  };
+  criticalPaths.forEach(({ milestone, path: chain }, index) => {
+    const key = `m${index}`;
+    chain.forEach((id, i) => {
+      mark(criticalNodes, id, key);
+      if (i > 0) mark(criticalEdges, `${chain[i - 1]}->${id}`, key);
+    });
+  });
+
+  // 依層級排列節點
+  const NODE_W = 180;
+  const NODE_H = 44;
+  const COL_GAP = 80;
+  const ROW_GAP = 20;
+  const PAD = 20;
+
+  const layers = [];
+  nodes.forEach(t => {
+    const d = depth.get(t.id);
+    (layers[d] = layers[d] || []).push(t);
+  });
+  const compactLayers = layers.filter(Boolean);
+  const positions = new Map();
+  compactLayers.forEach((layer, col) => {
+    layer.forEach((t, row) => {
+      positions.set(t.id, {
+        x: PAD + col * (NODE_W + COL_GAP),
+        y: PAD + row * (NODE_H + ROW_GAP)
+      });
+    });
+  });
+
+  const width = PAD * 2 + compactLayers.length * NODE_W + (compactLayers.length - 1) * COL_GAP;
+  const height = PAD * 2 + Math.max(...compactLayers.map(l => l.length)) * (NODE_H + ROW_GAP) - ROW_GAP;
+  const missingTasks = new Set(missing.map(m => m.task));
+  const cycleNodes = new Set(cycles.flat());
+
+  const edgeSvg = edges.map(e => {
+    const from = positions.get(e.from);
+    const to = positions.get(e.to);
+    const x1 = from.x + NODE_W;
+    const y1 = from.y + NODE_H / 2;
+    const x2 = to.x;
+    const y2 = to.y + NODE_H / 2;
+    const key = `${e.from}->${e.to}`;
+    const isCycle = cycleEdges.has(key);
+    // 同欄的邊從右側繞過，往回指的邊（循環）從節點下方繞回
+    let d;
+    if (x2 > x1) {
+      d = `M ${x1} ${y1} C ${x1 + COL_GAP / 2} ${y1}, ${x2 - COL_GAP / 2} ${y2}, ${x2} ${y2}`;
+    } else if (from.x === to.x) {
+      d = `M ${x1} ${y1} C ${x1 + COL_GAP / 2} ${y1}, ${x1 + COL_GAP / 2} ${y2}, ${x1} ${y2}`;
+    } else {
+      d = `M ${from.x + NODE_W / 2} ${from.y + NODE_H} C ${from.x + NODE_W / 2} ${from.y + NODE_H + 40}, ${to.x + NODE_W / 2} ${to.y + NODE_H + 40}, ${to.x + NODE_W / 2} ${to.y + NODE_H}`;
+    }
+    const classes = ['graph-edge', isCycle ? 'cycle' : ''].filter(Boolean).join(' ');
+    return `<path class="${classes}" d="${d}" data-critical="${(criticalEdges.get(key) || []).join(' ')}" marker-end="url(#graph-arrow)"/>`;
+  }).join('');
+
+  const nodeSvg = nodes.map(t => {
+    const { x, y } = positions.get(t.id);
+    const title = String(t.title || '未命名任務');
+    const label = title.length > 12 ? `${title.slice(0, 12)}…` : title;
+    const classes = [
+      'graph-node',
+      statusClass(t.status),
+      cycleNodes.has(t.id) ? 'cycle' : '',
+      missingTasks.has(t.id) ? 'missing' : ''
+    ].filter(Boolean).join(' ');
+    return `
+      <g class="${classes}" data-critical="${(criticalNodes.get(t.id) || []).join(' ')}">
+        <title>#${escapeHtml(t.id)} ${escapeHtml(title)} (${escapeHtml(t.status || '')})</title>
+        <rect x="${x}" y="${y}" width="${NODE_W}" height="${NODE_H}" rx="6"/>
+        <text x="${x + 10}" y="${y + 18}" class="graph-node-id">#${escapeHtml(t.id)}${t.assignee ? ` @${escapeHtml(t.assignee)}` : ''}</text>
+        <text x="${x + 10}" y="${y + 35}">${escapeHtml(label)}</text>
+      </g>
+    `;
+  }).join('');
+
+  const options = criticalPaths.map(({ milestone, path: chain }, index) =>
+    `<option value="m${index}">🎯 ${escapeHtml(milestone.title || '未命名里程碑')}${chain.length === 0 ? '（無未完成任務）' : ''}</option>`
+  ).join('');
+
+  return `
+    ${criticalPaths.length > 0 ? `
+      <div class="graph-toolbar">
+        <label>關鍵路徑：
+          <select id="critical-select" class="search-input">
+            <option value="all">所有里程碑</option>
+            ${options}
+            <option value="none">不顯示</option>
+          </select>
+        </label>
+      </div>` : ''}
+    ${issuesHtml}
+    <div class="graph-scroll">
+      <svg class="dependency-graph" width="${width}" height="${height + 40}" viewBox="0 0 ${width} ${height + 40}">
+        <defs>
+          <marker id="graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z"/>
+          </marker>
+        </defs>
+        ${edgeSvg}
+        ${nodeSvg}
+      </svg>
+    </div>
+    ${tasks.length > nodes.length ? `<div class="graph-note">其餘 ${tasks.length - nodes.length} 個任務沒有依賴關係</div>` : ''}
+  `;
+}
+
+// 每日各狀態的任務數；有 git 歷史的日期以當天（或之前）最後一次提交為準，
+// 更早的日期以 created / completed 推算（未完成的任務視為待辦），今天則使用目前的 tasks.md
+// durations 記錄每個任務處於進行中與阻塞的天數
+function buildDailyStatus(tasks, history, start, today) {
+  const days = [];
+  const durations = { 'in-progress': new Map(), blocked: new Map() };
+  let snapshot = -1;
+
+  for (let date = start; date <= today; date = addDays(date, 1)) {
+    while (snapshot + 1 < history.length && history[snapshot + 1].date <= date) snapshot++;
+
+    let statuses;
+    if (date === today) {
+      statuses = tasks.map(t => [t.id, t.status]);
+    } else if (snapshot >= 0) {
+      statuses = Object.entries(history[snapshot].statuses);
+    } else {
+      statuses = tasks
+        .filter(t => !isValidDate(t.created) || t.created <= date)
+        .map(t => [t.id, isValidDate(t.completed) && t.completed <= date ? 'done' : 'backlog']);
+    }
+
+    const counts = Object.fromEntries(TASK_STATUSES.map(status => [status, 0]));
+    statuses.forEach(([id, status]) => {
+      if (TASK_STATUSES.includes(status)) counts[status]++;
+      const spent = durations[status];
+      if (spent) spent.set(String(id), (spent.get(String(id)) || 0) + 1);
+    });
+    days.push({ date, counts });
+  }
+
+  return { days, durations };
+}
+
+// 趨勢圖共用的座標換算與格線：x 為日期，y 為任務數
+function chartAxes(start, end, maxValue) {
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const span = Math.max(1, Math.round((new Date(end) - new Date(start)) / DAY_MS));
+  const max = Math.max(1, maxValue);
+
+  const x = date => (CHART.left + (new Date(date) - new Date(start)) / DAY_MS / span * plotWidth).toFixed(1);
+  const y = value => (CHART.top + plotHeight - value / max * plotHeight).toFixed(1);
+
+  const yTicks = [...new Set([0, Math.round(max / 2), max])].map(value => `
+        <line class="chart-grid" x1="${CHART.left}" y1="${y(value)}" x2="${CHART.width - CHART.right}" y2="${y(value)}"/>
+        <text class="chart-label" x="${CHART.left - 6}" y="${Number(y(value)) + 4}" text-anchor="end">${value}</text>`).join('');
+  const labelCount = Math.min(6, span);
+  const xTicks = [...new Set(Array.from({ length: labelCount + 1 }, (_, i) => addDays(start, Math.round(span * i / labelCount))))]
+    .map(date => `
+        <text class="chart-label" x="${x(date)}" y="${CHART.height - 8}" text-anchor="middle">${date.slice(5)}</text>`).join('');
+
+  return { x, y, axes: yTicks + xTicks };
+}
+
+// 燃盡圖：每日剩餘（未完成）任務數，以及從第一天的總任務量降到 target_date 為 0 的理想線
+function generateBurndownChart(days, project, today) {
+  const start = days[0].date;
+  const target = isValidDate(project.project?.target_date) ? project.project.target_date : null;
+  const end = target && target > today ? target : today;
+  const totals = days.map(d => TASK_STATUSES.reduce((sum, status) => sum + d.counts[status], 0));
+  const remaining = days.map((d, i) => totals[i] - d.counts.done);
+  const scope = Math.max(...totals);
+  const { x, y, axes } = chartAxes(start, end, scope);
+
+  const ideal = target && target > start
+    ? `<line class="chart-ideal" x1="${x(start)}" y1="${y(scope)}" x2="${x(target)}" y2="${y(0)}"/>`
+    : '';
+
+  return `
+      <svg class="trend-chart" viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="燃盡圖">
+        ${axes}
+        ${ideal}
+        <polyline class="chart-scope" points="${days.map((d, i) => `${x(d.date)},${y(totals[i])}`).join(' ')}"/>
+        <polyline class="chart-line" points="${days.map((d, i) => `${x(d.date)},${y(remaining[i])}`).join(' ')}"/>
+        ${end > today ? `<line class="chart-today" x1="${x(today)}" y1="${CHART.top}" x2="${x(today)}" y2="${CHART.height - CHART.bottom}"/>` : ''}
+      </svg>
+      <div class="legend">
+        <div class="legend-item"><span class="legend-color" style="background: var(--accent-blue)"></span>剩餘任務</div>
+        <div class="legend-item"><span class="legend-color" style="background: var(--accent-purple)"></span>總任務數</div>
+        ${ideal ? `<div class="legend-item"><span class="legend-color" style="background: var(--text-secondary)"></span>理想線（至 ${target}）</div>` : ''}
+      </div>
+      ${target ? '' : '<div class="trend-note">project.yaml 未設定 target_date，無法繪製理想線</div>'}
+  `;
+}
+
+// 累積流量圖：由下而上依序為完成、審核中、阻塞、進行中、待辦
+function generateCumulativeFlowChart(days) {
+  const order = ['done', 'review', 'blocked', 'in-progress', 'backlog'];
+  const totals = days.map(d => order.reduce((sum, status) => sum + d.counts[status], 0));
+  const { x, y, axes } = chartAxes(days[0].date, days[days.length - 1].date, Math.max(...totals));
+
+  const below = days.map(() => 0);
+  const bands = order.map(status => {
+    const lower = [...below];
+    days.forEach((d, i) => { below[i] += d.counts[status]; });
+    const points = [
+      ...days.map((d, i) => `${x(d.date)},${y(below[i])}`),
+      ...days.map((d, i) => `${x(d.date)},${y(lower[i])}`).reverse()
+    ];
+    return `<polygon class="cfd-band ${status}" points="${points.join(' ')}"/>`;
+  });
+
+  return `
+      <svg class="trend-chart" viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="累積流量圖">
+        ${axes}
+        ${bands.join('\n        ')}
+      </svg>
+      <div class="legend">
+        <div class="legend-item"><span class="legend-color" style="background: var(--text-secondary)"></span>待辦</div>
+        <div class="legend-item"><span class="legend-color" style="background: var(--accent-blue)"></span>進行中</div>
+        <div class="legend-item"><span class="legend-color" style="background: var(--accent-red)"></span>阻塞</div>
+        <div class="legend-item"><span class="legend-color" style="background: var(--accent-yellow)"></span>審核中</div>
+        <div class="legend-item"><span class="legend-color" style="background: var(--accent-green)"></span>完成</div>
+      </div>
+  `;
+}
+
+// 該日所在週的週一
+function getWeekStart(date) {
+  return addDays(date, -((new Date(date).getUTCDay() + 6) % 7));
+}
+
+// 每週完成的任務數（依 completed，週一為一週的開始）
+function generateThroughputChart(tasks, start, today) {
+  const weekOf = getWeekStart;
+  const weeks = [];
+  for (let week = weekOf(start); week <= today; week = addDays(week, 7)) weeks.push(week);
+
+  const counts = weeks.map(() => 0);
+  tasks.forEach(task => {
+    if (!isValidDate(task.completed) || task.completed < weeks[0] || task.completed > today) return;
+    counts[weeks.indexOf(weekOf(task.completed))]++;
+  });
+
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const max = Math.max(1, ...counts);
+  const y = value => (CHART.top + plotHeight - value / max * plotHeight).toFixed(1);
+  const band = plotWidth / weeks.length;
+  const labelEvery = Math.ceil(weeks.length / 8);
+  const average = counts.reduce((sum, n) => sum + n, 0) / weeks.length;
+
+  const bars = weeks.map((week, i) => {
+    const left = CHART.left + band * i;
+    return `
+        <rect class="chart-bar" x="${(left + band * 0.15).toFixed(1)}" y="${y(counts[i])}" width="${(band * 0.7).toFixed(1)}" height="${(plotHeight - (Number(y(counts[i])) - CHART.top)).toFixed(1)}"><title>${week} 當週完成 ${counts[i]} 個</title></rect>
+        ${counts[i] > 0 ? `<text class="chart-label" x="${(left + band / 2).toFixed(1)}" y="${Number(y(counts[i])) - 4}" text-anchor="middle">${counts[i]}</text>` : ''}
+        ${i % labelEvery === 0 ? `<text class="chart-label" x="${(left + band / 2).toFixed(1)}" y="${CHART.height - 8}" text-anchor="middle">${week.slice(5)}</text>` : ''}`;
+  }).join('');
+
+  return `
+      <svg class="trend-chart" viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="每週完成數">
+        <line class="chart-grid" x1="${CHART.left}" y1="${y(0)}" x2="${CHART.width - CHART.right}" y2="${y(0)}"/>
+        <text class="chart-label" x="${CHART.left - 6}" y="${Number(y(0)) + 4}" text-anchor="end">0</text>
+        <text class="chart-label" x="${CHART.left - 6}" y="${Number(y(max)) + 4}" text-anchor="end">${max}</text>
+        ${bars}
+        <line class="chart-average" x1="${CHART.left}" y1="${y(average)}" x2="${CHART.width - CHART.right}" y2="${y(average)}"/>
+      </svg>
+      <div class="trend-summary">
+        <span>平均每週完成 <strong>${average.toFixed(1)}</strong> 個任務</span>
+        <span>最近一週完成 <strong>${counts[counts.length - 1]}</strong> 個</span>
+      </div>
+  `;
+}
+
+// 趨勢分頁：燃盡圖、累積流量圖與每週完成數，最多回溯一年
+function generateTrends(tasks, history, project, today) {
+  const candidates = [
+    project.project?.start_date,
+    ...tasks.map(t => t.created),
+    history.length > 0 ? history[0].date : null
+  ].filter(date => isValidDate(date) && date <= today);
+  const earliest = candidates.sort()[0] || today;
+  const start = earliest < addDays(today, -365) ? addDays(today, -365) : earliest;
+
+  const { days, durations } = buildDailyStatus(tasks, history, start, today);
+  const source = history.length > 0
+    ? `依 git 歷史中 ${history.length} 個版本的 tasks.md 重建每日狀態（${start} 起）`
+    : `沒有 git 歷史，依 created / completed 推算每日狀態，未完成的任務視為待辦（${start} 起）`;
+  const notEnough = '<div class="empty-state">至少需要兩天的資料</div>';
+
+  // 只有 git 歷史能得知任務實際處於進行中與阻塞的天數
+  const describe = (spent, label) => {
+    if (spent.size === 0) return `<span>沒有任務曾${label}</span>`;
+    const values = [...spent.values()];
+    const average = values.reduce((sum, n) => sum + n, 0) / values.length;
+    return `<span>${values.length} 個任務曾${label}，平均 <strong>${average.toFixed(1)}</strong> 天、最長 <strong>${Math.max(...values)}</strong> 天</span>`;
+  };
+  const durationSummary = history.length > 0 ? `
+      <div class="trend-summary">
+        ${describe(durations['in-progress'], '進行中')}
+        ${describe(durations.blocked, '阻塞')}
+      </div>` : '';
+
+  return `
+    <div class="trends-container">
+      <div class="trend-card">
+        <h3>燃盡圖</h3>
+        <div class="trend-note">${source}</div>
+        ${days.length > 1 ? generateBurndownChart(days, project, today) : notEnough}
+      </div>
+      <div class="trend-card">
+        <h3>累積流量圖</h3>
+        <div class="trend-note">各狀態的任務數隨時間的變化，帶狀變寬表示任務在該狀態累積</div>
+        ${days.length > 1 ? generateCumulativeFlowChart(days) : notEnough}
+        ${durationSummary}
+      </div>
+      <div class="trend-card">
+        <h3>每週完成數</h3>
+        <div class="trend-note">依任務的 completed 日期統計，虛線為平均</div>
+        ${generateThroughputChart(tasks, start, today)}
+      </div>
+    </div>
+  `;
+}
+
+// 成員工作量：每位負責人（與未指派）一列，統計未完成任務、逾期任務與未來各週的負荷（人天）
+// 負荷依截止日往前排入工作日：有 estimate 時佔用 estimate 天，否則以 1 天計；已過期的部分計入本週
+function getMemberWorkload(tasks, project, today) {
+  const capacities = project.stakeholders?.capacity && typeof project.stakeholders.capacity === 'object'
+    ? project.stakeholders.capacity
+    : {};
+  const firstWeek = getWeekStart(today);
+  const weeks = Array.from({ length: LOAD_WEEKS }, (_, i) => addDays(firstWeek, i * 7));
+  const lastDay = addDays(firstWeek, LOAD_WEEKS * 7 - 1);
+
+  const names = new Set(Object.keys(capacities));
+  tasks.forEach(t => {
+    if (t.assignee) names.add(String(t.assignee));
+  });
+  const rows = [...names].sort((a, b) => a.localeCompare(b, 'zh-Hant')).map(name => ({ name }));
+  if (tasks.some(t => !t.assignee && t.status !== 'done')) rows.push({ name: null });
+
+  return {
+    weeks,
+    rows: rows.map(({ name }) => {
+      const open = tasks.filter(t => t.status !== 'done' && (name === null ? !t.assignee : String(t.assignee || '') === name));
+      const capacity = name !== null && Number(capacities[name]) > 0 ? Number(capacities[name]) : null;
+      const load = weeks.map(() => 0);
+      const weekTasks = weeks.map(() => new Set());
+
+      open.filter(t => isValidDate(t.due)).forEach(task => {
+        let remaining = Number(task.estimate) > 0 ? Number(task.estimate) : 1;
+        for (let day = task.due; remaining > 0; day = addDays(day, -1)) {
+          if ([0, 6].includes(new Date(day).getUTCDay())) continue;
+          const effective = day < firstWeek ? firstWeek : day;
+          if (effective <= lastDay) {
+            const index = weeks.indexOf(getWeekStart(effective));
+            load[index] += Math.min(1, remaining);
+            weekTasks[index].add(task.id);
+          }
+          remaining -= 1;
+        }
+      });
+
+      return {
+        name,
+        capacity,
+        open,
+        byStatus: Object.fromEntries(TASK_STATUSES.filter(s => s !== 'done').map(s => [s, open.filter(t => t.status === s).length])),
+        byPriority: Object.fromEntries(PRIORITIES.map(p => [p, open.filter(t => t.priority === p).length])),
+        overdue: open.filter(t => isValidDate(t.due) && t.due < today),
+        unscheduled: open.filter(t => !isValidDate(t.due)).length,
+        load: load.map(value => Math.round(value * 10) / 10),
+        weekTasks: weekTasks.map(set => [...set]),
+        overloaded: capacity !== null && load.some(value => value > capacity)
+      };
+    })
+  };
+}
+
+// 單一成員的每週負荷長條圖，虛線為每週容量，超過容量的週標示為紅色
+function generateLoadChart(weeks, row, max) {
+  const width = LOAD_WEEKS * 40;
+  const height = 72;
+  const top = 12;
+  const bottom = 16;
+  const plotHeight = height - top - bottom;
+  const band = width / weeks.length;
+  const y = value => (top + plotHeight - Math.min(value, max) / max * plotHeight).toFixed(1);
+
+  const bars = weeks.map((week, i) => {
+    const value = row.load[i];
+    const over = row.capacity !== null && value > row.capacity;
+    const tip = `${week} 當週 ${value} 人天${row.capacity !== null ? ` / 容量 ${row.capacity}` : ''}` +
+      (row.weekTasks[i].length > 0 ? `：${row.weekTasks[i].map(id => `#${id}`).join(', ')}` : '');
+    return `
+          <rect class="load-bar${over ? ' over' : ''}" x="${(band * i + band * 0.15).toFixed(1)}" y="${y(value)}" width="${(band * 0.7).toFixed(1)}" height="${(top + plotHeight - Number(y(value))).toFixed(1)}"><title>${escapeHtml(tip)}</title></rect>
+          ${value > 0 ? `<text class="chart-label${over ? ' over' : ''}" x="${(band * i + band / 2).toFixed(1)}" y="${Number(y(value)) - 3}" text-anchor="middle">${value}</text>` : ''}
+          <text class="chart-label" x="${(band * i + band / 2).toFixed(1)}" y="${height - 4}" text-anchor="middle">${week.slice(5)}</text>`;
+  }).join('');
+
+  return `
+        <svg class="load-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="每週負荷">
+          <line class="chart-grid" x1="0" y1="${y(0)}" x2="${width}" y2="${y(0)}"/>
+          ${bars}
+          ${row.capacity !== null ? `<line class="load-capacity" x1="0" y1="${y(row.capacity)}" x2="${width}" y2="${y(row.capacity)}"><title>容量 ${row.capacity} 人天／週</title></line>` : ''}
+        </svg>`;
+}
+
+// 成員分頁：每位負責人的未完成任務、逾期任務與每週負荷
+function generateMembers(tasks, project, today) {
+  const { weeks, rows } = getMemberWorkload(tasks, project, today);
+  if (rows.length === 0) {
+    return '<div class="empty-state">尚無指派給成員的任務</div>';
+  }
+
+  const max = Math.max(1, ...rows.flatMap(row => [...row.load, row.capacity || 0]));
+  const chip = task => `<button type="button" class="link-chip task-link" data-task="${escapeHtml(task.id)}">#${escapeHtml(task.id)} ${escapeHtml(task.title || '未命名任務')}</button>`;
+
+  const body = rows.map(row => {
+    const filterValue = row.name === null ? '__none__' : row.name;
+    const name = row.name === null ? '未指派' : `@${escapeHtml(row.name)}`;
+    const statuses = Object.entries(row.byStatus)
+      .filter(([, count]) => count > 0)
+      .map(([status, count]) => `<span class="link-chip status-${statusClass(status)}">${escapeHtml(TASK_STATUS_LABELS[status])} ${count}</span>`)
+      .join('');
+    const priorities = Object.entries(row.byPriority)
+      .filter(([, count]) => count > 0)
+      .map(([priority, count]) => `<span class="priority ${priorityClass(priority)}">${priority} × ${count}</span>`)
+      .join(' ');
+
+    return `
+      <tr class="member-row${row.name === null ? ' unassigned' : ''}${row.overloaded ? ' overloaded' : ''}">
+        <td>
+          ${row.open.length > 0
+            ? `<button type="button" class="member-link" data-assignee="${escapeHtml(filterValue)}" title="在看板中顯示">${name}</button>`
+            : `<span class="member-name">${name}</span>`}
+          ${row.overloaded ? '<div class="member-warning">⚠ 超過每週容量</div>' : ''}
+          ${row.name === null && row.open.length > 0 ? '<div class="member-warning">⚠ 尚未指派負責人</div>' : ''}
+        </td>
+        <td class="number">${row.open.length}</td>
+        <td><div class="member-chips">${statuses || '<span class="drawer-empty">—</span>'}</div></td>
+        <td>${priorities || '<span class="drawer-empty">—</span>'}</td>
+        <td>${row.overdue.length > 0 ? `<div class="member-chips">${row.overdue.map(chip).join('')}</div>` : '<span class="drawer-empty">—</span>'}</td>
+        <td>
+          ${generateLoadChart(weeks, row, max)}
+          <div class="member-meta">${row.capacity !== null ? `容量 ${row.capacity} 人天／週` : '未設定容量'}${row.unscheduled > 0 ? ` · ${row.unscheduled} 個任務沒有截止日` : ''}</div>
+        </td>
+      </tr>`;
+  }).join('');
+
+  return `
+    <div class="members-container">
+      <h3>成員工作量</h3>
+      <div class="trend-note">每週負荷依截止日往前排入工作日（有 estimate 時依預估天數，否則以 1 天計），逾期未完成的工作計入本週；容量設定於 project.yaml 的 stakeholders.capacity</div>
+      <table class="data-table member-table">
+        <thead>
+          <tr>
+            <th>成員</th>
+            <th class="number">未完成</th>
+            <th>狀態</th>
+            <th>優先級</th>
+            <th>逾期</th>
+            <th>每週負荷（人天，${weeks[0].slice(5)} 起 ${LOAD_WEEKS} 週）</th>
+          </tr>
+        </thead>
+        <tbody>${body}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// 預算設定：scope.budget 可為金額，或含 total、currency、hourly_rate、hours_per_day 與 categories 的對應表
+// 其他寫法（例如舊版的文字說明）回傳 null
+function getBudgetConfig(project) {
+  let budget = project.scope?.budget;
+  if (typeof budget === 'number') budget = { total: budget };
+  if (!budget || typeof budget !== 'object' || Array.isArray(budget)) return null;
+
+  const categories = budget.categories && typeof budget.categories === 'object' && !Array.isArray(budget.categories)
+    ? Object.fromEntries(Object.entries(budget.categories).map(([name, value]) => [name, Number(value) || 0]))
+    : {};
+  return {
+    total: Number(budget.total) > 0 ? Number(budget.total) : Object.values(categories).reduce((sum, n) => sum + n, 0),
+    currency: budget.currency ? String(budget.currency) : '',
+    hourlyRate: Number(budget.hourly_rate) > 0 ? Number(budget.hourly_rate) : 0,
+    hoursPerDay: Number(budget.hours_per_day) > 0 ? Number(budget.hours_per_day) : 8,
+    categories
+  };
+}
+
+function formatAmount(value, currency = '') {
+  const amount = Math.round(value).toLocaleString('zh-TW');
+  return currency ? `${currency} ${amount}` : amount;
+}
+
+// 任務的預估與實際投入：預估工時 = estimate（天）× hours_per_day，實際支出 = cost + actual_hours × hourly_rate
+function getTaskSpend(task, config) {
+  const plannedHours = Number(task.estimate) > 0 ? Number(task.estimate) * config.hoursPerDay : 0;
+  const actualHours = Number(task.actual_hours) > 0 ? Number(task.actual_hours) : 0;
+  return {
+    plannedHours,
+    actualHours,
+    plannedCost: plannedHours * config.hourlyRate,
+    actualCost: (Number(task.cost) > 0 ? Number(task.cost) : 0) + actualHours * config.hourlyRate
+  };
+}
+
+// 預算分析：依類別、標籤與里程碑彙總預估與實際，並依目前支出速度推估到 target_date 的支出
+// 任務的類別取 category 欄位，其次為第一個與預算類別同名的標籤
+function analyzeBudget(tasks, milestones, project, today) {
+  const config = getBudgetConfig(project);
+  if (!config) return null;
+
+  const spends = new Map(tasks.map(task => [task, getTaskSpend(task, config)]));
+  const sum = list => list.reduce((total, task) => {
+    const spend = spends.get(task);
+    Object.keys(total).forEach(key => { total[key] += spend[key]; });
+    return total;
+  }, { plannedHours: 0, actualHours: 0, plannedCost: 0, actualCost: 0 });
+
+  const categoryOf = task => task.category
+    ? String(task.category)
+    : toIdList(task.tags).map(String).find(tag => tag in config.categories) || null;
+  const byCategory = Object.entries(config.categories).map(([name, budget]) => ({
+    name,
+    budget,
+    ...sum(tasks.filter(t => categoryOf(t) === name))
+  }));
+  const uncategorized = tasks.filter(t => {
+    const category = categoryOf(t);
+    return !category || !(category in config.categories);
+  });
+  if (uncategorized.some(t => spends.get(t).actualCost > 0 || spends.get(t).plannedCost > 0)) {
+    byCategory.push({ name: null, budget: 0, ...sum(uncategorized) });
+  }
+
+  const tags = [...new Set(tasks.flatMap(t => toIdList(t.tags).map(String)))].sort();
+  const byTag = tags.map(tag => ({ name: tag, ...sum(tasks.filter(t => toIdList(t.tags).map(String).includes(tag))) }))
+    .filter(row => row.plannedHours || row.actualHours || row.actualCost);
+  const byMilestone = milestones.map(m => ({
+    name: m.title || `里程碑 #${m.id}`,
+    due: m.due,
+    ...sum(tasks.filter(t => toIdList(m.tasks).includes(t.id)))
+  })).filter(row => row.plannedHours || row.actualHours || row.actualCost);
+
+  const totals = sum(tasks);
+  const spent = totals.actualCost;
+
+  // 依開始日至今的平均每日支出，線性推估到 target_date
+  const start = [project.project?.start_date, ...tasks.map(t => t.created).filter(isValidDate).sort()].find(isValidDate);
+  const target = isValidDate(project.project?.target_date) ? project.project.target_date : null;
+  let forecast = null;
+  if (start && target && start <= today && spent > 0) {
+    const elapsed = Math.round((new Date(today) - new Date(start)) / DAY_MS) + 1;
+    const duration = Math.round((new Date(target) - new Date(start)) / DAY_MS) + 1;
+    const rate = spent / elapsed;
+    const exceedDay = config.total > 0 ? Math.ceil(config.total / rate) : null;
+    forecast = {
+      start,
+      target,
+      rate,
+      projected: today < target ? rate * duration : spent,
+      exceedDate: exceedDay !== null && exceedDay <= duration ? addDays(start, exceedDay - 1) : null
+    };
+  }
+
+  const warnings = [];
+  const money = value => formatAmount(value, config.currency);
+  if (config.total > 0 && spent > config.total) {
+    warnings.push(`已支出 ${money(spent)}，超出預算 ${money(config.total)}（${money(spent - config.total)}）`);
+  } else if (config.total > 0 && forecast && forecast.exceedDate && today < target) {
+    warnings.push(`依目前每日約 ${money(forecast.rate)} 的支出速度，預計 ${forecast.exceedDate} 超出預算，到 ${target} 將支出 ${money(forecast.projected)}（預算 ${money(config.total)}）`);
+  }
+  byCategory.filter(c => c.name !== null && c.actualCost > c.budget).forEach(c => {
+    warnings.push(`類別「${c.name}」已支出 ${money(c.actualCost)}，超出預算 ${money(c.budget)}`);
+  });
+
+  return { config, totals, spent, byCategory, byTag, byMilestone, forecast, warnings };
+}
+
+// 預算分頁：總覽、依類別的預算與支出，以及依標籤與里程碑的預估與實際投入
+function generateBudget(tasks, milestones, project, today) {
+  const budget = analyzeBudget(tasks, milestones, project, today);
+  if (!budget) {
+    return `<div class="empty-state">尚未設定預算。在 project.yaml 的 scope.budget 填入 total 與 categories，並在任務加上 cost 或 actual_hours 即可追蹤支出</div>`;
+  }
+
+  const { config, totals, spent, forecast, warnings } = budget;
+  const money = value => escapeHtml(formatAmount(value, config.currency));
+  const percent = (value, total) => (total > 0 ? Math.round(value / total * 100) : 0);
+  const bar = (value, total) => `<span class="progress-bar"><span class="progress-fill${value > total ? ' over' : ''}" style="width: ${Math.min(100, percent(value, total))}%"></span></span>`;
+  const hours = value => (value > 0 ? `${Math.round(value * 10) / 10} 小時` : '—');
+  const withCost = config.hourlyRate > 0;
+
+  const categoryRows = budget.byCategory.map(c => `
+          <tr${c.name !== null && c.actualCost > c.budget ? ' class="over-budget"' : ''}>
+            <td>${c.name === null ? '<span class="drawer-empty">未分類</span>' : escapeHtml(c.name)}</td>
+            <td class="number">${c.name === null ? '—' : money(c.budget)}</td>
+            <td class="number">${money(c.actualCost)}</td>
+            <td class="number">${c.name === null ? '—' : money(c.budget - c.actualCost)}</td>
+            <td>${c.name === null ? '' : `${bar(c.actualCost, c.budget)} ${percent(c.actualCost, c.budget)}%`}</td>
+          </tr>`).join('');
+
+  const effortTable = (rows, label) => rows.length === 0 ? '<div class="drawer-empty">尚無預估或實際投入的資料</div>' : `
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>${label}</th>
+              <th class="number">預估工時</th>
+              <th class="number">實際工時</th>
+              ${withCost ? '<th class="number">預估成本</th>' : ''}
+              <th class="number">實際支出</th>
+            </tr>
+          </thead>
+          <tbody>${rows.map(row => `
+            <tr${row.plannedHours > 0 && row.actualHours > row.plannedHours ? ' class="over-budget"' : ''}>
+              <td>${escapeHtml(row.name)}${row.due ? ` <span class="drawer-empty">${escapeHtml(row.due)}</span>` : ''}</td>
+              <td class="number">${hours(row.plannedHours)}</td>
+              <td class="number">${hours(row.actualHours)}</td>
+              ${withCost ? `<td class="number">${money(row.plannedCost)}</td>` : ''}
+              <td class="number">${money(row.actualCost)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>`;
+
+  return `
+    <div class="budget-container">
+      ${warnings.map(message => `<div class="budget-warning">⚠ ${escapeHtml(message)}</div>`).join('')}
+      <div class="stats">
+        <div class="stat-card">
+          <div class="stat-value">${money(config.total)}</div>
+          <div class="stat-label">預算總額</div>
+        </div>
+        <div class="stat-card${config.total > 0 && spent > config.total ? ' danger' : ''}">
+          <div class="stat-value">${money(spent)}</div>
+          <div class="stat-label">已支出（${percent(spent, config.total)}%）</div>
+        </div>
+        <div class="stat-card${config.total - spent < 0 ? ' danger' : ' success'}">
+          <div class="stat-value">${money(config.total - spent)}</div>
+          <div class="stat-label">剩餘</div>
+        </div>
+        <div class="stat-card${forecast && forecast.projected > config.total ? ' warning' : ''}">
+          <div class="stat-value">${forecast ? money(forecast.projected) : '—'}</div>
+          <div class="stat-label">${forecast ? `預估至 ${forecast.target} 的支出` : '預估支出（需要 target_date 與支出記錄）'}</div>
+        </div>
+      </div>
+
+      <div class="budget-card">
+        <h3>依類別</h3>
+        <div class="trend-note">任務以 category 欄位（或與類別同名的標籤）歸類；實際支出 = cost${withCost ? ` + actual_hours × ${money(config.hourlyRate)}` : ''}</div>
+        ${budget.byCategory.length > 0 ? `
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>類別</th>
+              <th class="number">預算</th>
+              <th class="number">已支出</th>
+              <th class="number">剩餘</th>
+              <th>使用率</th>
+            </tr>
+          </thead>
+          <tbody>${categoryRows}
+          </tbody>
+        </table>` : '<div class="drawer-empty">尚未設定預算類別</div>'}
+      </div>
+
+      <div class="budget-card">
+        <h3>依標籤</h3>
+        <div class="trend-note">預估工時 = estimate（天）× ${config.hoursPerDay} 小時；合計預估 ${hours(totals.plannedHours)}、實際 ${hours(totals.actualHours)}</div>
+        ${effortTable(budget.byTag, '標籤')}
+      </div>
+
+      <div class="budget-card">
+        <h3>依里程碑</h3>
+        ${effortTable(budget.byMilestone, '里程碑')}
+      </div>
+    </div>
+  `;
+}
+
+// 期間內仍需追蹤的任務：排除在 since 之前就已完成的任務
+function filterTasksSince(tasks, since) {
+  if (!since) return tasks;
+  return tasks.filter(t => !(t.status === 'done' && isValidDate(t.completed) && t.completed < since));
+}
+
+// Markdown 進度報告：摘要、本期完成、阻塞項目與即將到來的里程碑，適合貼進週報郵件
+function generateMarkdownReport(data, options = {}) {
+  const { tasks, milestones, project } = data;
+  const today = options.today || getToday();
+  const since = options.since || addDays(today, -7);
+  const name = project.project?.name || '專案';
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const taskLabel = t => `#${t.id} ${t.title || '未命名任務'}`;
+
+  const done = tasks.filter(t => t.status === 'done');
+  const doneInPeriod = done
+    .filter(t => isValidDate(t.completed) && t.completed >= since && t.completed <= today)
+    .sort((a, b) => a.completed.localeCompare(b.completed));
+  const created = tasks.filter(t => isValidDate(t.created) && t.created >= since && t.created <= today);
+  const blocked = tasks.filter(t => t.status === 'blocked');
+  const overdue = tasks.filter(t => t.due && t.due < today && t.status !== 'done');
+  const progress = tasks.length > 0 ? Math.round(done.length / tasks.length * 100) : 0;
+
+  const lines = [
+    `# ${name} 進度報告`,
+    '',
+    `期間：${since} ~ ${today}`,
+    '',
+    '## 摘要',
+    '',
+    `- 整體進度：${done.length} / ${tasks.length}（${progress}%）`,
+    `- 本期完成：${doneInPeriod.length}，本期新增：${created.length}`,
+    `- 進行中：${tasks.filter(t => t.status === 'in-progress').length}，審核中：${tasks.filter(t => t.status === 'review').length}`,
+    `- 阻塞中：${blocked.length}，已逾期：${overdue.length}`,
+    ''
+  ];
+  if (isValidDate(project.project?.target_date)) {
+    lines.splice(lines.length - 1, 0, `- 預計完成：${project.project.target_date}`);
+  }
+
+  lines.push(`## 本期完成（${doneInPeriod.length}）`, '');
+  if (doneInPeriod.length === 0) lines.push('_無_');
+  doneInPeriod.forEach(t => {
+    lines.push(`- ${taskLabel(t)}${t.assignee ? ` · @${t.assignee}` : ''} · ${t.completed}`);
+  });
+  lines.push('');
+
+  lines.push(`## 阻塞中（${blocked.length}）`, '');
+  if (blocked.length === 0) lines.push('_無_');
+  blocked.forEach(t => {
+    const waiting = toIdList(t.blocked_by).map(id => {
+      const blocker = byId.get(id);
+      return blocker ? `${taskLabel(blocker)}（${TASK_STATUS_LABELS[blocker.status] || blocker.status}）` : `#${id}`;
+    });
+    lines.push(`- ${taskLabel(t)}${t.assignee ? ` · @${t.assignee}` : ''}`);
+    if (waiting.length > 0) lines.push(`  - 等待：${waiting.join('、')}`);
+    if (t.notes) lines.push(`  - 原因：${String(t.notes).trim().replace(/\s*\n\s*/g, ' ')}`);
+    if (waiting.length === 0 && !t.notes) lines.push('  - 原因：未填寫');
+  });
+  lines.push('');
+
+  const upcoming = milestones
+    .map(m => ({ m, progress: getMilestoneProgress(m, tasks) }))
+    .filter(({ progress: p }) => p.status !== 'achieved')
+    .sort((a, b) => {
+      if (!a.m.due) return 1;
+      if (!b.m.due) return -1;
+      return String(a.m.due).localeCompare(String(b.m.due));
+    });
+  const throughput = getRecentThroughput(tasks, today);
+  lines.push(`## 即將到來的里程碑（${upcoming.length}）`, '');
+  if (upcoming.length === 0) lines.push('_無_');
+  upcoming.forEach(({ m, progress: p }) => {
+    const parts = [`- ${m.due || '日期未定'} ${m.title || '未命名里程碑'}`];
+    if (p.total > 0) parts.push(`${p.done} / ${p.total} 完成`);
+    if (m.due && m.due < today) parts.push('⚠ 已逾期');
+    if (p.remaining > 0 && throughput.perDay > 0) {
+      const forecast = addDays(today, Math.ceil(p.remaining / throughput.perDay));
+      parts.push(`預計完成 ${forecast}${m.due && forecast > m.due ? '（晚於截止日）' : ''}`);
+    }
+    lines.push(parts.join(' · '));
+  });
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+const CSV_COLUMNS = ['id', 'title', 'status', 'priority', 'assignee', 'start', 'due', 'estimate', 'actual_hours', 'cost', 'category', 'created', 'completed', 'tags', 'blocked_by', 'notes'];
+
+// CSV 欄位：含逗號、引號或換行時加上引號，陣列以逗號分隔
+function formatCsvCell(value) {
+  const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 解析 CSV（RFC 4180），回傳列的陣列；引號內可包含逗號與換行
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value !== ''));
+}
+
+// 任務 CSV：加上 BOM 讓 Excel 正確辨識 UTF-8，多值欄位以逗號分隔
+function generateTasksCsv(data, options = {}) {
+  const rows = filterTasksSince(data.tasks, options.since).map(task =>
+    CSV_COLUMNS.map(key => formatCsvCell(key === 'tags' || key === 'blocked_by' ? toIdList(task[key]) : task[key])).join(',')
+  );
+  return '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// 正規化的 JSON：固定欄位一律存在（缺少時為 null），ID 清單一律為陣列，里程碑附上推導的狀態與進度
+function generateJsonExport(data, options = {}) {
+  const { tasks, milestones, project, decisions = [], meetings = [] } = data;
+  const since = options.since || null;
+
+  const normalizedTasks = filterTasksSince(tasks, since).map(task => ({
+    ...Object.fromEntries(CSV_COLUMNS.map(key => [key, task[key] ?? null])),
+    ...task,
+    tags: toIdList(task.tags),
+    blocked_by: toIdList(task.blocked_by)
+  }));
+  const normalizedMilestones = milestones.map(m => {
+    const progress = getMilestoneProgress(m, tasks);
+    return {
+      id: m.id ?? null,
+      title: m.title ?? null,
+      due: m.due ?? null,
+      ...m,
+      tasks: toIdList(m.tasks),
+      status: progress.status,
+      progress: { done: progress.done, total: progress.total }
+    };
+  });
+  const inPeriod = date => !since || (isValidDate(date) && date >= since);
+
+  return JSON.stringify({
+    generated: options.today || getToday(),
+    since,
+    project: { ...project.project, stakeholders: project.stakeholders || {}, scope: project.scope || {} },
+    tasks: normalizedTasks,
+    milestones: normalizedMilestones,
+    decisions: decisions.filter(d => inPeriod(d.date)).map(d => ({
+      ...d,
+      alternatives: toIdList(d.alternatives),
+      tasks: toIdList(d.tasks),
+      milestones: toIdList(d.milestones)
+    })),
+    meetings: meetings.filter(m => inPeriod(m.date))
+  }, null, 2) + '\n';
+}
+
+// iCalendar 的文字值需跳脫反斜線、分號、逗號與換行
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// 每行不超過 75 個位元組，續行以空白開頭；不拆開多位元組字元
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// 項目內容在 git 歷史中變動的次數，作為 iCalendar 的 SEQUENCE；工作目錄中尚未提交的變動也算一次
+function getRevisionCount(item, history) {
+  let count = 0;
+  let previous;
+  history.forEach(({ revisions = {} }) => {
+    const revision = revisions[item.id];
+    if (revision === undefined) return;
+    if (previous !== undefined && revision !== previous) count++;
+    previous = revision;
+  });
+  return previous !== undefined && previous !== JSON.stringify(item) ? count + 1 : count;
+}
 
-    @media (max-width: 768px) {
-      .kanban {
-        grid-template-columns: 1fr;
-      }
+// 任務截止日與里程碑的 iCalendar 全天事件
+// UID 由專案代號（project.id，未設定時為專案目錄名稱）與任務 / 里程碑 ID 組成，重新匯入時會更新同一個事件
+// 已完成的任務與已達成的里程碑不輸出；SEQUENCE 與 LAST-MODIFIED 依 git 歷史中的變動計算
+function generateIcs(data, options = {}) {
+  const { tasks, milestones, project, taskHistory = [], milestoneHistory = [] } = data;
+  const name = project.project?.name || '專案';
+  const key = String(project.project?.id || path.basename(path.resolve(options.root || DEFAULT_ROOT)));
+  const projectKey = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+  const today = options.today || getToday();
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const icsDate = date => date.replace(/-/g, '');
+
+  const event = ({ uid, date, summary, description, sequence, updated }) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}@cc-pm`,
+    `DTSTAMP:${stamp}`,
+    ...(isValidDate(updated) ? [`LAST-MODIFIED:${icsDate(updated)}T000000Z`] : []),
+    `SEQUENCE:${sequence}`,
+    `DTSTART;VALUE=DATE:${icsDate(date)}`,
+    `DTEND;VALUE=DATE:${icsDate(addDays(date, 1))}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    `DESCRIPTION:${escapeIcsText(description.filter(Boolean).join('\n'))}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+
+  const taskEvents = filterTasksSince(tasks, options.since)
+    .filter(t => isValidDate(t.due) && t.status !== 'done')
+    .map(t => event({
+      uid: `task-${t.id}.${projectKey}`,
+      date: t.due,
+      summary: `[${name}] #${t.id} ${t.title || '未命名任務'}`,
+      description: [
+        `狀態: ${TASK_STATUS_LABELS[t.status] || t.status}`,
+        t.priority ? `優先級: ${t.priority}` : '',
+        t.assignee ? `負責人: ${t.assignee}` : '',
+        t.notes ? `\n${t.notes}` : ''
+      ],
+      sequence: getRevisionCount(t, taskHistory),
+      updated: getTaskLastUpdate(t, taskHistory, today)
+    }));
+
+  const milestoneEvents = milestones
+    .filter(m => isValidDate(m.due))
+    .map(m => ({ milestone: m, progress: getMilestoneProgress(m, tasks) }))
+    .filter(({ progress }) => progress.status !== 'achieved')
+    .map(({ milestone: m, progress }) => {
+      // 進度來自關聯任務，因此任務的變動也要反映在里程碑事件上
+      const linked = tasks.filter(t => toIdList(m.tasks).includes(t.id));
+      const updated = [m, ...linked]
+        .map(item => getTaskLastUpdate(item, item === m ? milestoneHistory : taskHistory, today))
+        .filter(isValidDate)
+        .sort()
+        .pop();
+      return event({
+        uid: `milestone-${m.id}.${projectKey}`,
+        date: m.due,
+        summary: `[${name}] 🎯 ${m.title || '未命名里程碑'}`,
+        description: [
+          `狀態: ${MILESTONE_STATUS_LABELS[progress.status] || progress.status}`,
+          progress.total > 0 ? `進度: ${progress.done} / ${progress.total} 完成` : '',
+          m.notes ? `\n${m.notes}` : ''
+        ],
+        sequence: getRevisionCount(m, milestoneHistory) + linked.reduce((sum, t) => sum + getRevisionCount(t, taskHistory), 0),
+        updated
+      });
+    });
 
-      .stats {
-        grid-template-columns: repeat(2, 1fr);
-      }
-    }
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//cc-pm//visualize.js//ZH-TW',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...milestoneEvents.flat(),
+    ...taskEvents.flat(),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
 
-    /* Legend */
-    .legend {
-      display: flex;
-      gap: 16px;
-      flex-wrap: wrap;
-      margin-bottom: 16px;
-      font-size: 12px;
-    }
+// 專案概況：組合儀表板每列一個專案
+function summarizeProject(data, today) {
+  const { tasks, milestones, project } = data;
+  const done = tasks.filter(t => t.status === 'done').length;
+  const nextMilestone = milestones
+    .filter(m => getMilestoneProgress(m, tasks).status !== 'achieved')
+    .sort((a, b) => {
+      if (!a.due) return 1;
+      if (!b.due) return -1;
+      return String(a.due).localeCompare(String(b.due));
+    })[0] || null;
+
+  return {
+    name: project.project?.name,
+    status: project.project?.status,
+    total: tasks.length,
+    done,
+    progress: tasks.length > 0 ? Math.round(done / tasks.length * 100) : 0,
+    overdue: tasks.filter(t => t.due && t.due < today && t.status !== 'done').length,
+    blocked: tasks.filter(t => t.status === 'blocked').length,
+    nextMilestone
+  };
+}
 
-    .legend-item {
-      display: flex;
-      align-items: center;
-      gap: 6px;
+// 組合儀表板；projects 為 [{ name, href, data, error }]，error 表示該專案讀取失敗
+function generatePortfolioHtml(projects, today = getToday()) {
+  const loaded = projects.filter(p => p.data);
+
+  const rows = projects.map(p => {
+    if (!p.data) {
+      return `
+          <tr>
+            <td>${escapeHtml(p.name)}</td>
+            <td colspan="5" class="danger">❌ ${escapeHtml(p.error)}</td>
+          </tr>`;
     }
+    const name = `<a href="${escapeHtml(p.href)}">${escapeHtml(p.name)}</a>`;
+    const summary = summarizeProject(p.data, today);
+    const milestone = summary.nextMilestone;
+    const milestoneOverdue = milestone && milestone.due && milestone.due < today;
+    return `
+          <tr>
+            <td>${name}</td>
+            <td>${escapeHtml(summary.status || '-')}</td>
+            <td>
+              <span class="progress-bar"><span class="progress-fill" style="width: ${summary.progress}%"></span></span>
+              ${summary.progress}% <span class="muted">(${summary.done}/${summary.total})</span>
+            </td>
+            <td class="number ${summary.overdue > 0 ? 'warning' : 'muted'}">${summary.overdue}</td>
+            <td class="number ${summary.blocked > 0 ? 'danger' : 'muted'}">${summary.blocked}</td>
+            <td>${milestone
+              ? `${escapeHtml(milestone.title || '未命名里程碑')} <span class="${milestoneOverdue ? 'danger' : 'muted'}">${escapeHtml(milestone.due || '日期未定')}</span>`
+              : '<span class="muted">-</span>'}</td>
+          </tr>`;
+  }).join('');
+
+  // 跨專案的成員工作量，只計算未完成的任務
+  const workload = new Map();
+  loaded.forEach((p, index) => {
+    p.data.tasks.filter(t => t.status !== 'done').forEach(task => {
+      const name = task.assignee ? String(task.assignee) : '';
+      if (!workload.has(name)) {
+        workload.set(name, { counts: loaded.map(() => 0), inProgress: 0, overdue: 0 });
+      }
+      const entry = workload.get(name);
+      entry.counts[index]++;
+      if (task.status === 'in-progress') entry.inProgress++;
+      if (task.due && task.due < today) entry.overdue++;
+    });
+  });
+  const assignees = [...workload.keys()].sort((a, b) => {
+    if (!a) return 1;
+    if (!b) return -1;
+    return a.localeCompare(b);
+  });
 
-    .legend-color {
-      width: 12px;
-      height: 12px;
-      border-radius: 2px;
-    }
-  </style>
+  const workloadTable = assignees.length > 0 ? `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>成員</th>
+            ${loaded.map(p => `<th class="number">${escapeHtml(p.name)}</th>`).join('')}
+            <th class="number">未完成</th>
+            <th class="number">進行中</th>
+            <th class="number">已逾期</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${assignees.map(name => {
+            const entry = workload.get(name);
+            const total = entry.counts.reduce((sum, n) => sum + n, 0);
+            return `
+          <tr>
+            <td>${name ? `@${escapeHtml(name)}` : '<span class="muted">未指派</span>'}</td>
+            ${entry.counts.map(n => `<td class="${n > 0 ? 'number' : 'number muted'}">${n}</td>`).join('')}
+            <td class="number">${total}</td>
+            <td class="number">${entry.inProgress}</td>
+            <td class="number ${entry.overdue > 0 ? 'warning' : 'muted'}">${entry.overdue}</td>
+          </tr>`;
+          }).join('')}
+        </tbody>
+      </table>` : '<div class="empty-state">沒有未完成的任務</div>';
+
+  return `<!DOCTYPE html>
+<html lang="zh-TW">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>專案總覽</title>
+  <style>
+${generateStyles()}  </style>
+  ${generateThemeScript()}
 </head>
 <body>
   <div class="container">
     <header>
-      <h1>${projectName || '專案管理儀表板'}</h1>
+      <button type="button" id="theme-toggle" class="theme-toggle" title="切換深色／淺色主題">☀️ 淺色</button>
+      <h1>專案總覽</h1>
       <div class="project-meta">
-        ${project.project?.type ? `<span>類型: ${project.project.type}</span>` : ''}
-        ${project.project?.status ? `<span>狀態: ${project.project.status}</span>` : ''}
-        ${project.project?.start_date ? `<span>開始: ${project.project.start_date}</span>` : ''}
-        ${project.project?.target_date ? `<span>預計完成: ${project.project.target_date}</span>` : ''}
+        <span>專案數: ${projects.length}</span>
         <span>更新時間: ${today}</span>
       </div>
     </header>
 
-    <!-- Stats -->
     <div class="stats">
       <div class="stat-card">
-        <div class="stat-value">${tasks.length}</div>
+        <div class="stat-value">${loaded.reduce((sum, p) => sum + p.data.tasks.length, 0)}</div>
         <div class="stat-label">總任務數</div>
       </div>
       <div class="stat-card success">
-        <div class="stat-value">${tasks.filter(t => t.status === 'done').length}</div>
+        <div class="stat-value">${loaded.reduce((sum, p) => sum + p.data.tasks.filter(t => t.status === 'done').length, 0)}</div>
         <div class="stat-label">已完成</div>
       </div>
-      <div class="stat-card">
-        <div class="stat-value">${tasks.filter(t => t.status === 'in-progress').length}</div>
-        <div class="stat-label">進行中</div>
-      </div>
       <div class="stat-card danger">
-        <div class="stat-value">${tasks.filter(t => t.status === 'blocked').length}</div>
+        <div class="stat-value">${loaded.reduce((sum, p) => sum + p.data.tasks.filter(t => t.status === 'blocked').length, 0)}</div>
         <div class="stat-label">阻塞中</div>
       </div>
       <div class="stat-card warning">
-        <div class="stat-value">${tasks.filter(t => t.due && t.due < today && t.status !== 'done').length}</div>
+        <div class="stat-value">${loaded.reduce((sum, p) => sum + p.data.tasks.filter(t => t.due && t.due < today && t.status !== 'done').length, 0)}</div>
         <div class="stat-label">已逾期</div>
       </div>
     </div>
 
-    <!-- Tabs -->
-    <div class="tabs">
-      <button class="tab active" data-tab="kanban">看板</button>
-      <button class="tab" data-tab="timeline">時間軸</button>
-      <button class="tab" data-tab="gantt">甘特圖</button>
-    </div>
-
-    <!-- Kanban View -->
-    <div id="kanban" class="tab-content active">
-      <div class="kanban">
-        ${generateKanbanColumn('backlog', '📋 待辦', tasks, today)}
-        ${generateKanbanColumn('in-progress', '🔵 進行中', tasks, today)}
-        ${generateKanbanColumn('blocked', '🔴 阻塞', tasks, today)}
-        ${generateKanbanColumn('review', '🟡 審核中', tasks, today)}
-        ${generateKanbanColumn('done', '✅ 完成', tasks, today)}
-      </div>
-    </div>
-
-    <!-- Timeline View -->
-    <div id="timeline" class="tab-content">
-      <div class="timeline-container">
-        <h3 style="margin-bottom: 24px; font-size: 16px;">里程碑時間軸</h3>
-        ${generateTimeline(milestones, today)}
-      </div>
+    <div class="portfolio-section">
+      <h3>專案</h3>
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>專案</th>
+            <th>狀態</th>
+            <th>進度</th>
+            <th class="number">已逾期</th>
+            <th class="number">阻塞中</th>
+            <th>下一個里程碑</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
     </div>
 
-    <!-- Gantt View -->
-    <div id="gantt" class="tab-content">
-      <div class="gantt-container">
-        <div class="gantt-header">
-          <h3>甘特圖</h3>
-        </div>
-        <div class="legend">
-          <div class="legend-item"><span class="legend-color" style="background: var(--text-secondary)"></span>待辦</div>
-          <div class="legend-item"><span class="legend-color" style="background: var(--accent-blue)"></span>進行中</div>
-          <div class="legend-item"><span class="legend-color" style="background: var(--accent-red)"></span>阻塞</div>
-          <div class="legend-item"><span class="legend-color" style="background: var(--accent-yellow)"></span>審核中</div>
-          <div class="legend-item"><span class="legend-color" style="background: var(--accent-green)"></span>完成</div>
-          <div class="legend-item"><span class="legend-color" style="background: var(--accent-purple)"></span>里程碑</div>
-        </div>
-        ${generateGanttChart(tasks, milestones, today, project)}
-      </div>
+    <div class="portfolio-section">
+      <h3>成員工作量</h3>
+      ${workloadTable}
     </div>
   </div>
-
-  <script>
-    // Tab switching
-    document.querySelectorAll('.tab').forEach(tab => {
-      tab.addEventListener('click', () => {
-        document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
-        document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
-
-        tab.classList.add('active');
-        document.getElementById(tab.dataset.tab).classList.add('active');
-      });
-    });
-  </script>
 </body>
 </html>`;
 }
 
-function generateKanbanColumn(status, title, tasks, today) {
-  const columnTasks = tasks.filter(t => t.status === status);
-
-  const cards = columnTasks.length > 0
-    ? columnTasks.map(task => {
-        const isOverdue = task.due && task.due < today && task.status !== 'done';
-        return `
-          <div class="task-card">
-            <div class="task-title">${task.title || '未命名任務'}</div>
-            <div class="task-meta">
-              ${task.priority ? `<span class="priority priority-${task.priority.toLowerCase()}">${task.priority}</span>` : ''}
-              ${task.due ? `<span class="due-date ${isOverdue ? 'overdue' : ''}">${task.due}</span>` : ''}
-              ${task.assignee ? `<span class="assignee">@${task.assignee}</span>` : ''}
-            </div>
-          </div>
-        `;
-      }).join('')
-    : '<div class="empty-state">尚無任務</div>';
-
-  return `
-    <div class="kanban-column">
-      <div class="column-header">
-        <h3>${title}</h3>
-        <span class="column-count">${columnTasks.length}</span>
-      </div>
-      ${cards}
-    </div>
-  `;
-}
+// 生成儀表板並寫入檔案（預設為 docs/dashboard.html）
+function buildDashboard(data, output = resolvePaths().output) {
+  const html = generateHtml(data, { output });
 
-function generateTimeline(milestones, today) {
-  if (!milestones || milestones.length === 0) {
-    return '<div class="empty-state">尚未設定里程碑</div>';
+  // 確保輸出目錄存在
+  const docsDir = path.dirname(output);
+  if (!fs.existsSync(docsDir)) {
+    fs.mkdirSync(docsDir, { recursive: true });
   }
 
-  const sorted = [...milestones].sort((a, b) => {
-    if (!a.due) return 1;
-    if (!b.due) return -1;
-    return a.due.localeCompare(b.due);
-  });
-
-  return `
-    <div class="timeline">
-      ${sorted.map(m => {
-        const isAchieved = m.status === 'achieved';
-        const isOverdue = m.due && m.due < today && !isAchieved;
-        const statusClass = isAchieved ? 'achieved' : (isOverdue ? 'overdue' : '');
-
-        return `
-          <div class="timeline-item ${statusClass}">
-            <div class="timeline-date">${m.due || '日期未定'}</div>
-            <div class="timeline-title">${m.title || '未命名里程碑'}</div>
-            ${m.tasks && m.tasks.length > 0 ? `<div class="timeline-tasks">關聯任務: ${m.tasks.join(', ')}</div>` : ''}
-          </div>
-        `;
-      }).join('')}
-    </div>
-  `;
+  fs.writeFileSync(output, html, 'utf-8');
+  return html;
 }
 
-function generateGanttChart(tasks, milestones, today, project) {
-  // 收集所有日期來計算範圍
-  const allDueDates = [];
+// 展開專案目錄，支援 * 與 ? 萬用字元（例如 projects/*）；萬用字元只比對含 project.yaml 或 tasks.md 的目錄
+function expandProjectRoots(patterns) {
+  const isProject = dir => ['project.yaml', 'tasks.md'].some(name => fs.existsSync(path.join(dir, name)));
+  const roots = [];
 
-  tasks.forEach(t => {
-    if (t.due) allDueDates.push(t.due);
-  });
+  patterns.forEach(pattern => {
+    const absolute = path.resolve(pattern);
+    if (!/[*?]/.test(pattern)) {
+      if (!fs.existsSync(absolute) || !fs.statSync(absolute).isDirectory()) {
+        throw new Error(`找不到專案目錄: ${pattern}`);
+      }
+      roots.push(absolute);
+      return;
+    }
 
-  milestones.forEach(m => {
-    if (m.due) allDueDates.push(m.due);
+    const { root } = path.parse(absolute);
+    let dirs = [root];
+    absolute.slice(root.length).split(path.sep).filter(Boolean).forEach(segment => {
+      if (!/[*?]/.test(segment)) {
+        dirs = dirs.map(dir => path.join(dir, segment));
+        return;
+      }
+      const regex = new RegExp(`^${segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+      dirs = dirs.flatMap(dir => {
+        if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return [];
+        return fs.readdirSync(dir, { withFileTypes: true })
+          .filter(entry => entry.isDirectory() && regex.test(entry.name) && !(entry.name.startsWith('.') && !segment.startsWith('.')))
+          .map(entry => path.join(dir, entry.name))
+          .sort();
+      });
+    });
+    roots.push(...dirs.filter(isProject));
   });
 
-  // 如果沒有任何日期資料，顯示序列式甘特圖
-  if (allDueDates.length === 0) {
-    // 沒有日期的情況：按任務順序顯示
-    if (tasks.length === 0 && milestones.length === 0) {
-      return '<div class="empty-state">尚無任務或里程碑資料可顯示</div>';
-    }
+  return [...new Set(roots)];
+}
 
-    const rows = [];
-    const totalItems = tasks.length + milestones.length;
+// 組合模式：為每個專案生成儀表板，再生成連結到各儀表板的總覽頁
+function runPortfolio(patterns, output) {
+  if (patterns.length === 0) {
+    throw new Error('請提供專案目錄，例如: portfolio projects/*');
+  }
+  const roots = expandProjectRoots(patterns);
+  if (roots.length === 0) {
+    throw new Error(`找不到符合的專案: ${patterns.join(' ')}`);
+  }
 
-    tasks.forEach((task, index) => {
-      const left = (index / totalItems) * 80;
-      const width = Math.max(60 / totalItems, 8);
-
-      rows.push(`
-        <div class="gantt-row">
-          <div class="gantt-label" title="${task.title}">${task.title || '未命名'}</div>
-          <div class="gantt-bars">
-            <div class="gantt-bar ${task.status}" style="left: ${left}%; width: ${width}%">
-              ${task.priority || ''}
-            </div>
-          </div>
-        </div>
-      `);
-    });
+  let failed = 0;
+  const projects = roots.map(root => {
+    const paths = resolvePaths({ root });
+    const href = path.relative(path.dirname(output), paths.output).split(path.sep).map(encodeURIComponent).join('/');
+    try {
+      const data = loadData(paths);
+      buildDashboard(data, paths.output);
+      const name = data.project.project?.name || path.basename(root);
+      console.log(`- ${name}: ${data.tasks.length} 個任務 → ${paths.output}`);
+      return { name, href, data };
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${path.basename(root)}: ${error.message}`);
+      return { name: path.basename(root), href, error: error.message };
+    }
+  });
 
-    return `
-      <div class="gantt-chart">
-        <div style="color: var(--text-secondary); font-size: 12px; margin-bottom: 12px;">
-          （任務無日期資料，按順序顯示）
-        </div>
-        ${rows.join('')}
-      </div>
-    `;
+  const outputDir = path.dirname(output);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
   }
+  fs.writeFileSync(output, generatePortfolioHtml(projects), 'utf-8');
+  console.log(`✅ 專案總覽已生成: ${output}`);
 
-  // 有日期資料：按時間顯示
-  const sortedDates = allDueDates.sort();
-  let startDate = new Date(sortedDates[0]);
-  let endDate = new Date(sortedDates[sortedDates.length - 1]);
+  return failed > 0 ? 1 : 0;
+}
 
-  // 使用專案日期擴展範圍
-  if (project.project?.start_date) {
-    const projStart = new Date(project.project.start_date);
-    if (projStart < startDate) startDate = projStart;
+const EXPORT_FORMATS = {
+  markdown: generateMarkdownReport,
+  csv: generateTasksCsv,
+  json: generateJsonExport,
+  ics: generateIcs,
+  github: generateGithubIssues,
+  jira: generateJiraCsv
+};
+
+// 以 --format 輸出報告；沒有 --out 時印到標準輸出，方便以管線接到其他工具
+function runExport(format, flags, paths) {
+  const generate = EXPORT_FORMATS[format];
+  if (format === true) {
+    throw new Error(`請指定格式，例如: --format markdown（可用 ${Object.keys(EXPORT_FORMATS).join(' | ')}）`);
   }
-  if (project.project?.target_date) {
-    const projEnd = new Date(project.project.target_date);
-    if (projEnd > endDate) endDate = projEnd;
+  if (!generate) {
+    throw new Error(`無效的格式「${format}」，應為 ${Object.keys(EXPORT_FORMATS).join(' | ')}`);
+  }
+  if (flags.since !== undefined && !isValidDate(flags.since)) {
+    throw new Error('--since 應為 YYYY-MM-DD 格式');
   }
 
-  // 確保有足夠的時間範圍
-  const rangeMs = endDate - startDate;
-  const minRangeMs = 14 * 24 * 60 * 60 * 1000; // 最少 14 天
-  if (rangeMs < minRangeMs) {
-    startDate = new Date(startDate.getTime() - 7 * 24 * 60 * 60 * 1000);
-    endDate = new Date(endDate.getTime() + 7 * 24 * 60 * 60 * 1000);
+  // 行事曆需要 git 歷史計算各事件的 SEQUENCE
+  const data = loadData({ ...paths, history: format === 'ics' });
+  if (format === 'ics') data.milestoneHistory = loadTaskHistory(paths.timeline, null, 'milestones');
+  const output = generate(data, { since: flags.since, root: paths.root });
+  if (typeof flags.out === 'string') {
+    fs.writeFileSync(path.resolve(flags.out), output, 'utf-8');
+    console.log(`✅ 已輸出: ${path.resolve(flags.out)}`);
   } else {
-    // 前後各擴展 5%
-    const padding = rangeMs * 0.05;
-    startDate = new Date(startDate.getTime() - padding);
-    endDate = new Date(endDate.getTime() + padding);
+    process.stdout.write(output);
   }
+  return 0;
+}
 
-  const totalMs = endDate - startDate;
-  const todayDate = new Date(today);
-  const todayPosition = Math.max(0, Math.min(100, ((todayDate - startDate) / totalMs) * 100));
+// 注入瀏覽器端的即時重新載入程式（只用於 --serve，不寫入檔案）
+function injectLiveReload(html) {
+  const script = `
+  <script>
+    // Live reload
+    (() => {
+      const savedTab = sessionStorage.getItem('cc-pm-tab');
+      const tab = savedTab && document.querySelector(\`.tab[data-tab="\${savedTab}"]\`);
+      if (tab) tab.click();
+
+      const source = new EventSource('/events');
+      source.addEventListener('reload', () => {
+        const active = document.querySelector('.tab.active');
+        if (active) sessionStorage.setItem('cc-pm-tab', active.dataset.tab);
+        location.reload();
+      });
+      source.addEventListener('build-error', event => {
+        let banner = document.getElementById('live-reload-error');
+        if (!banner) {
+          banner = document.createElement('pre');
+          banner.id = 'live-reload-error';
+          banner.style.cssText = 'position:fixed;left:16px;right:16px;bottom:16px;padding:12px 16px;margin:0;' +
+            'background:#3d1214;color:#f85149;border:1px solid #f85149;border-radius:6px;font-size:13px;z-index:100;white-space:pre-wrap;';
+          document.body.appendChild(banner);
+        }
+        banner.textContent = '❌ ' + JSON.parse(event.data);
+      });
+    })();
+  </script>
+`;
+  return html.replace(/<\/body>(?![\s\S]*<\/body>)/, `${script}</body>`);
+}
 
-  // 計算每個任務的 bar 寬度（基於平均間隔）
-  const avgBarWidth = Math.max(8, Math.min(15, 80 / tasks.length));
+// 啟動本機 HTTP 伺服器，以 SSE 通知瀏覽器重新載入
+function startServer(getHtml, port) {
+  const clients = new Set();
 
-  const rows = [];
+  const server = http.createServer((req, res) => {
+    const url = req.url.split('?')[0];
 
-  // 按 due 日期排序任務
-  const sortedTasks = [...tasks].filter(t => t.due).sort((a, b) => a.due.localeCompare(b.due));
+    if (url === '/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
 
-  sortedTasks.forEach(task => {
-    const taskDue = new Date(task.due);
-    // bar 結束於 due 日期位置
-    const duePosition = ((taskDue - startDate) / totalMs) * 100;
-    // bar 從 due 日期往前延伸
-    const left = Math.max(0, duePosition - avgBarWidth);
-    const width = Math.min(avgBarWidth, duePosition);
+    if (url === '/' || url === '/dashboard.html') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' });
+      res.end(injectLiveReload(getHtml()));
+      return;
+    }
 
-    rows.push(`
-      <div class="gantt-row">
-        <div class="gantt-label" title="${task.title}">${task.title || '未命名'}</div>
-        <div class="gantt-bars">
-          <div class="gantt-bar ${task.status}" style="left: ${left}%; width: ${width}%">
-            ${task.priority || ''}
-          </div>
-        </div>
-      </div>
-    `);
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not Found');
   });
 
-  // 里程碑
-  milestones.forEach(m => {
-    if (!m.due) return;
+  // 定期送出註解，避免連線因閒置被中斷
+  const keepAlive = setInterval(() => clients.forEach(res => res.write(': ping\n\n')), 30000);
+  server.on('close', () => clearInterval(keepAlive));
 
-    const mDate = new Date(m.due);
-    const left = ((mDate - startDate) / totalMs) * 100;
+  // 連接埠被占用或沒有權限時結束程式，而不是丟出未處理的 error 事件
+  server.on('error', error => {
+    if (error.code === 'EADDRINUSE') {
+      console.error(`❌ 錯誤: 連接埠 ${port} 已被使用，請以 --port 指定其他連接埠`);
+    } else if (error.code === 'EACCES') {
+      console.error(`❌ 錯誤: 沒有權限使用連接埠 ${port}，請以 --port 指定 1024 以上的連接埠`);
+    } else {
+      console.error('❌ 錯誤:', error.message);
+    }
+    process.exit(1);
+  });
 
-    rows.push(`
-      <div class="gantt-row">
-        <div class="gantt-label" title="${m.title}">🎯 ${m.title || '未命名'}</div>
-        <div class="gantt-bars">
-          <div class="gantt-bar milestone" style="left: ${Math.max(0, left - 1)}%; width: 2%"></div>
-        </div>
-      </div>
-    `);
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`🌐 儀表板伺服器: http://localhost:${port}/`);
   });
 
-  // 生成時間刻度標籤
-  const totalDays = Math.ceil(totalMs / (24 * 60 * 60 * 1000));
-  const tickCount = Math.min(6, Math.max(3, Math.floor(totalDays / 7)));
-  const tickInterval = totalMs / tickCount;
+  return {
+    server,
+    broadcast(event, data = '') {
+      clients.forEach(res => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+    }
+  };
+}
 
-  let timeScale = '<div class="gantt-scale">';
-  for (let i = 0; i <= tickCount; i++) {
-    const tickDate = new Date(startDate.getTime() + tickInterval * i);
-    const label = `${tickDate.getMonth() + 1}/${tickDate.getDate()}`;
-    const pos = (i / tickCount) * 100;
-    timeScale += `<span style="left: ${pos}%">${label}</span>`;
+// 監看專案檔案，變更時只重新解析變更的檔案並重新生成儀表板
+function runWatch(paths, options) {
+  const cache = new Map();
+  const watchedFiles = [paths.tasks, paths.timeline, paths.project, paths.decisions];
+  let html = buildDashboard(loadData({ ...paths, cache }), paths.output);
+  const live = options.serve ? startServer(() => html, options.port) : null;
+
+  const pending = new Set();
+  let timer = null;
+
+  const rebuild = () => {
+    const changed = [...pending].map(file => path.relative(paths.root, file));
+    pending.clear();
+    try {
+      html = buildDashboard(loadData({ ...paths, cache }), paths.output);
+      console.log(`🔄 ${changed.join(', ')} 已變更，儀表板已更新`);
+      if (live) live.broadcast('reload');
+    } catch (error) {
+      console.error('❌ 錯誤:', error.message);
+      if (live) live.broadcast('build-error', error.message);
+    }
+  };
+
+  // 編輯器存檔時常連續觸發多個事件，稍候再一起處理
+  const schedule = file => {
+    cache.delete(file);
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, 100);
+  };
+
+  // 監看檔案所在的目錄，編輯器以「寫入暫存檔再改名」存檔時也能偵測到
+  [...new Set(watchedFiles.map(file => path.dirname(file)))].forEach(dir => {
+    fs.watch(dir, (event, filename) => {
+      const file = filename && path.join(dir, filename.toString());
+      if (file && watchedFiles.includes(file)) schedule(file);
+    });
+  });
+  if (fs.existsSync(paths.meetings)) {
+    fs.watch(paths.meetings, (event, filename) => {
+      if (filename && filename.toString().endsWith('.md')) schedule(path.join(paths.meetings, filename.toString()));
+    });
   }
-  timeScale += '</div>';
 
-  return `
-    <div class="gantt-chart" style="position: relative;">
-      ${timeScale}
-      <div class="gantt-today" style="left: ${todayPosition}%"></div>
-      ${rows.join('')}
-    </div>
-  `;
+  console.log('👀 監看 tasks.md、timeline.md、project.yaml、decisions.md 與 meetings/ 的變更（Ctrl+C 結束）');
 }
 
 // 主程式
-function main() {
+function main(argv = process.argv.slice(2)) {
+  const command = argv[0] && !argv[0].startsWith('--') ? argv[0] : null;
+  const args = command ? argv.slice(1) : argv;
+
   try {
+    const { _: positional, flags } = parseArgs(args, ['watch', 'serve', 'dry-run']);
+    const paths = resolvePaths({
+      root: typeof flags.root === 'string' ? flags.root : undefined,
+      output: typeof flags.out === 'string' ? path.resolve(flags.out) : undefined
+    });
+
+    if (command === 'portfolio') {
+      const output = typeof flags.out === 'string' ? path.resolve(flags.out) : path.resolve('portfolio.html');
+      process.exit(runPortfolio(positional, output));
+    }
+    if (command === 'check') {
+      process.exit(runCheck(paths));
+    }
+    if (command === 'template') {
+      process.exit(runTemplate(args, paths));
+    }
+    if (command === 'health') {
+      process.exit(runHealth(paths));
+    }
+    if (command === 'import') {
+      process.exit(runImport(args, paths));
+    }
+    if (command === 'sync') {
+      process.exit(runSync(args, paths));
+    }
+    if (['add', 'move', 'assign', 'done', 'list'].includes(command)) {
+      process.exit(runTaskCommand(command, args, paths));
+    }
+    if (command) {
+      throw new Error(`未知的指令「${command}」`);
+    }
+
+    if (flags.format !== undefined) {
+      process.exit(runExport(flags.format, flags, paths));
+    }
+    if (flags.watch || flags.serve) {
+      runWatch(paths, { serve: Boolean(flags.serve), port: Number(flags.port) || 3000 });
+      return;
+    }
+
     console.log('讀取專案資料...');
-    const data = loadData();
+    const data = loadData(paths);
 
     console.log(`- 任務數量: ${data.tasks.length}`);
     console.log(`- 里程碑數量: ${data.milestones.length}`);
+    console.log(`- 決策數量: ${data.decisions.length}`);
+    console.log(`- 會議數量: ${data.meetings.length}`);
 
-    console.log('生成 HTML...');
-    const html = generateHtml(data);
-
-    // 確保 docs 目錄存在
-    const docsDir = path.dirname(OUTPUT_FILE);
-    if (!fs.existsSync(docsDir)) {
-      fs.mkdirSync(docsDir, { recursive: true });
+    // 與 check 相同，包含 frontmatter 與內文不一致的警告
+    const problems = [...validateProject(data), ...planSync(paths).flatMap(plan => plan.drift)];
+    if (problems.length > 0) {
+      console.warn(`⚠ 專案檔案有 ${problems.length} 個問題，執行 node scripts/visualize.js check 查看`);
     }
 
-    fs.writeFileSync(OUTPUT_FILE, html, 'utf-8');
-    console.log(`✅ 儀表板已生成: ${OUTPUT_FILE}`);
+    console.log('生成 HTML...');
+    buildDashboard(data, paths.output);
+    console.log(`✅ 儀表板已生成: ${paths.output}`);
     console.log('\n用瀏覽器開啟此檔案即可查看視覺化儀表板');
-
   } catch (error) {
     console.error('❌ 錯誤:', error.message);
     process.exit(1);
   }
 }
 
-main();
+module.exports = {
+  resolvePaths,
+  loadData,
+  loadMeetings,
+  loadTaskHistory,
+  parseYaml,
+  parseYamlFrontmatter,
+  parseProjectYaml,
+  getYamlLine,
+  YamlError,
+  validateProject,
+  evaluateHealth,
+  analyzeDependencies,
+  getMilestoneProgress,
+  escapeHtml,
+  statusClass,
+  priorityClass,
+  generateHtml,
+  generateStyles,
+  generateKanbanFilters,
+  generateKanbanColumn,
+  generateTaskDrawer,
+  generateHealthPanel,
+  generateOverview,
+  getDeliverableProgress,
+  generateTimeline,
+  generateGanttChart,
+  generateDependencyGraph,
+  generateTrends,
+  getMemberWorkload,
+  generateMembers,
+  analyzeBudget,
+  generateBudget,
+  generateDecisions,
+  generateMeetings,
+  generateMarkdownReport,
+  generateTasksCsv,
+  generateJsonExport,
+  generateIcs,
+  generateGithubIssues,
+  parseGithubIssues,
+  generateJiraCsv,
+  parseJiraCsv,
+  parseCsv,
+  mergeImportedTasks,
+  loadTemplates,
+  resolveRelativeDate,
+  applyTemplate,
+  summarizeProject,
+  generatePortfolioHtml,
+  buildDashboard,
+  expandProjectRoots,
+  runPortfolio,
+  main
+};
+
+// 直接執行時才啟動 CLI，被 require 時沒有副作用
+if (require.main === module) {
+  main();
+}
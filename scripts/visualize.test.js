@@ -0,0 +1,171 @@
+// visualize.js 的測試：渲染的跳脫（以含有 HTML 特殊字元的資料產生各視圖）、YAML 解析與任務匯入
+// 執行：node --test scripts/
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  generateHtml,
+  generateKanbanColumn,
+  generateTimeline,
+  generateGanttChart,
+  statusClass,
+  priorityClass,
+  parseYaml,
+  parseYamlFrontmatter,
+  parseJiraCsv,
+  mergeImportedTasks
+} = require('./visualize');
+
+const TODAY = '2026-10-19';
+
+// 同時包含 <script>、&、雙引號與單引號
+const evil = label => `${label}<script>alert(1)</script>&"dq"'sq'`;
+const escaped = label => `${label}&lt;script&gt;alert(1)&lt;/script&gt;&amp;&quot;dq&quot;&#39;sq&#39;`;
+
+function createData() {
+  const tasks = [
+    { id: 1, title: evil('任務一'), status: 'in-progress', priority: 'P0', assignee: evil('負責人'), start: '2026-10-10', due: '2026-10-25', created: '2026-10-01' },
+    { id: 2, title: evil('任務二'), status: 'todo', priority: 'P1', assignee: 'Bob', due: '2026-10-30', created: '2026-10-01', blocked_by: 1 },
+    { id: 3, title: evil('任務三'), status: 'unknown" onclick="alert(1)', priority: 'P9" onclick="alert(1)', due: '2026-11-02', created: '2026-10-01' }
+  ];
+  const milestones = [
+    { id: 1, title: evil('里程碑'), due: '2026-10-31', status: 'pending', tasks: [1, 2] }
+  ];
+  const project = {
+    project: { name: evil('專案'), type: 'event', status: 'active', start_date: '2026-10-01', target_date: '2026-11-30' },
+    scope: {},
+    stakeholders: {}
+  };
+  return { tasks, milestones, project, decisions: [], meetings: [], taskHistory: [], docs: { dir: '', files: [] } };
+}
+
+// 確認輸出中沒有原樣的 payload，並且能找到跳脫後的版本
+function assertEscaped(html, labels) {
+  assert.ok(!html.includes('<script>alert(1)'), '不應出現未跳脫的 <script>');
+  assert.ok(!html.includes('"dq"'), '不應出現未跳脫的雙引號');
+  assert.ok(!html.includes("'sq'"), '不應出現未跳脫的單引號');
+  assert.ok(!html.includes('&"'), '不應出現未跳脫的 &');
+  assert.ok(!/onclick="alert/.test(html), '不應注入事件屬性');
+  labels.forEach(label => {
+    assert.ok(html.includes(escaped(label)), `應包含跳脫後的「${label}」`);
+  });
+}
+
+test('generateHtml 跳脫任務、負責人、里程碑與專案名稱', () => {
+  const html = generateHtml(createData());
+  assertEscaped(html, ['任務一', '任務二', '任務三', '負責人', '里程碑', '專案']);
+  // 只有頁面本身的主題與互動腳本
+  assert.strictEqual((html.match(/<script>/g) || []).length, 2);
+});
+
+test('generateKanbanColumn 跳脫卡片內容', () => {
+  const { tasks } = createData();
+  const html = generateKanbanColumn('in-progress', '進行中', tasks, TODAY);
+  assertEscaped(html, ['任務一', '負責人']);
+});
+
+test('generateTimeline 跳脫里程碑與關聯任務', () => {
+  const { tasks, milestones } = createData();
+  const html = generateTimeline(milestones, TODAY, tasks);
+  assertEscaped(html, ['里程碑']);
+});
+
+test('generateGanttChart 跳脫任務名稱與負責人', () => {
+  const { tasks, milestones, project } = createData();
+  const html = generateGanttChart(tasks, milestones, TODAY, project);
+  assertEscaped(html, ['任務一', '任務二', '里程碑']);
+});
+
+test('generateGanttChart 將沒有日期的任務列於未排程區，不畫假的時間條', () => {
+  const tasks = [
+    { id: 1, title: '寫文案', status: 'backlog' },
+    { id: 2, title: '拍照', status: 'in-progress' }
+  ];
+  const undated = generateGanttChart(tasks, [], TODAY, { project: {} });
+  assert.ok(!undated.includes('class="gantt-bar '));
+  assert.ok(undated.includes('未排程（2）'));
+
+  // 有專案日期時仍顯示時間軸
+  const withProject = generateGanttChart(tasks, [], TODAY, { project: { start_date: '2026-10-01', target_date: '2026-11-30' } });
+  assert.ok(withProject.includes('gantt-scale'));
+  assert.ok(!withProject.includes('class="gantt-bar '));
+  assert.ok(withProject.includes('未排程（2）'));
+});
+
+test('statusClass 與 priorityClass 只輸出已知的 class', () => {
+  assert.strictEqual(statusClass('done'), 'done');
+  assert.strictEqual(statusClass('done" onclick="alert(1)'), 'unknown');
+  assert.strictEqual(statusClass(undefined), 'unknown');
+  assert.strictEqual(priorityClass('P0'), 'priority-p0');
+  assert.strictEqual(priorityClass('P9" onclick="alert(1)'), 'priority-unknown');
+  assert.strictEqual(priorityClass(null), 'priority-unknown');
+});
+
+test('parseYaml 保留值中的 #<id> 任務提及，其他 # 仍視為註解', () => {
+  const data = parseYaml([
+    'title: 跟進 #3 的回饋',
+    'notes: 等 #12 完成 # 行尾註解',
+    'priority: P1 # 註解',
+    'tags: [設計, 文案] # 註解'
+  ].join('\n'));
+  assert.strictEqual(data.title, '跟進 #3 的回饋');
+  assert.strictEqual(data.notes, '等 #12 完成');
+  assert.strictEqual(data.priority, 'P1');
+  assert.deepStrictEqual(data.tags, ['設計', '文案']);
+});
+
+// 匯入測試用的 tasks.md
+function createTasksFile(fields) {
+  return [
+    '---',
+    'tasks:',
+    '  - id: 1',
+    '    title: 預訂場地',
+    '    status: in-progress',
+    '    priority: P1',
+    '    due: 2026-11-01',
+    '    assignee: 小美',
+    '    tags: [場地]',
+    '    created: 2026-10-01',
+    '    completed: null',
+    '    external_id: jira:PM-1',
+    ...fields,
+    '---',
+    '',
+    '# 任務',
+    ''
+  ].join('\n');
+}
+
+test('mergeImportedTasks 重新匯入時保留來源沒有提供的截止日、負責人與標籤', () => {
+  // 沒有 Due Date、Assignee 與 Labels 欄位的 Jira CSV
+  const items = parseJiraCsv('Issue key,Summary,Status\nPM-1,預訂場地,In Review\n');
+  const { content, changes } = mergeImportedTasks(createTasksFile([]), items);
+  const task = parseYamlFrontmatter(content, 'tasks.md').tasks[0];
+
+  assert.strictEqual(task.status, 'review');
+  assert.strictEqual(task.due, '2026-11-01');
+  assert.strictEqual(task.assignee, '小美');
+  assert.deepStrictEqual(task.tags, ['場地']);
+  assert.strictEqual(task.priority, 'P1');
+  assert.deepStrictEqual(changes, ['~ #1 預訂場地: in-progress → review']);
+});
+
+test('mergeImportedTasks 以來源提供的截止日更新任務', () => {
+  const items = parseJiraCsv('Issue key,Summary,Status,Due Date\nPM-1,預訂場地,In Progress,2026-11-08\n');
+  const { content } = mergeImportedTasks(createTasksFile([]), items);
+  assert.strictEqual(parseYamlFrontmatter(content, 'tasks.md').tasks[0].due, '2026-11-08');
+});
+
+test('mergeImportedTasks 將週期任務匯入為完成時建立下一次的任務', () => {
+  const items = parseJiraCsv('Issue key,Summary,Status,Resolved\nPM-1,預訂場地,Done,2026-10-18\n');
+  const { content, changes } = mergeImportedTasks(createTasksFile(['    recur: weekly']), items);
+  const [done, next] = parseYamlFrontmatter(content, 'tasks.md').tasks;
+
+  assert.strictEqual(done.status, 'done');
+  assert.strictEqual(done.recur, null);
+  assert.strictEqual(next.id, 2);
+  assert.strictEqual(next.status, 'backlog');
+  assert.strictEqual(next.recur, 'weekly');
+  assert.ok(next.due > done.due);
+  assert.ok(changes.some(line => line.startsWith('+ #2 預訂場地')));
+});